@@ -4,10 +4,47 @@ const path = require('path');
 // Load environment variables
 require('dotenv').config();
 
+const DEFAULT_REJECTION_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// REJECTION_CACHE_TTL from the environment, in ms (0 disables the cache). A value
+// that isn't a whole number of ms falls back to the default instead of turning
+// the cache off by accident.
+function rejectionCacheTtl(value) {
+  if (value === undefined) {
+    return DEFAULT_REJECTION_CACHE_TTL;
+  }
+  
+  const ttl = Number(value);
+  if (value.trim() === '' || !Number.isInteger(ttl) || ttl < 0) {
+    console.warn(`⚠️ REJECTION_CACHE_TTL '${value}' is not a number of milliseconds, using the default of 7 days`);
+    return DEFAULT_REJECTION_CACHE_TTL;
+  }
+  
+  return ttl;
+}
+
 // Define configuration
 const CONFIG = {
   // File paths
-  QUEUE_PATH: path.join(__dirname, '../profiles_queue.json'), // Queue file in project root
+  QUEUE_PATH: path.join(__dirname, '../profiles_queue.json'), // Legacy queue file, imported once into the journal store
+  QUEUE_SNAPSHOT_PATH: path.join(__dirname, '../profiles_queue.snapshot.json'),
+  QUEUE_JOURNAL_PATH: path.join(__dirname, '../profiles_queue.journal'),
+  QUEUE_COMPACT_THRESHOLD: parseInt(process.env.QUEUE_COMPACT_THRESHOLD, 10) || 500, // Journal entries before compaction
+  QUEUE_LOCK_PATH: path.join(__dirname, '../profiles_queue.lock'), // Cross-process writer lock
+  QUEUE_LOCK_STALE_MS: 10 * 60 * 1000, // Locks of dead processes are broken at once; live owners' only after this (pid reuse)
+  QUEUE_LOCK_TIMEOUT: 10000, // Give up waiting for the lock after this long
+  DEAD_LETTER_SNAPSHOT_PATH: path.join(__dirname, '../dead_letters.snapshot.json'),
+  DEAD_LETTER_JOURNAL_PATH: path.join(__dirname, '../dead_letters.journal'),
+  DEAD_LETTER_LOCK_PATH: path.join(__dirname, '../dead_letters.lock'), // Cross-process writer lock
+  VERDICT_SNAPSHOT_PATH: path.join(__dirname, '../verdicts.snapshot.json'),
+  VERDICT_JOURNAL_PATH: path.join(__dirname, '../verdicts.journal'),
+  VERDICT_LOCK_PATH: path.join(__dirname, '../verdicts.lock'), // Cross-process writer lock
+  VERDICT_RETENTION_MS: 90 * 24 * 60 * 60 * 1000, // Keep verdict history for 90 days
+  REJECTION_CACHE_SNAPSHOT_PATH: path.join(__dirname, '../rejections.snapshot.json'),
+  REJECTION_CACHE_JOURNAL_PATH: path.join(__dirname, '../rejections.journal'),
+  REJECTION_CACHE_LOCK_PATH: path.join(__dirname, '../rejections.lock'), // Cross-process writer lock
+  RULE_SETS_PATH: process.env.RULE_SETS_PATH || path.join(__dirname, 'rule-sets.json'), // Named check/threshold rule sets
+  REJECTION_CACHE_TTL: rejectionCacheTtl(process.env.REJECTION_CACHE_TTL), // Skip resubmitted IDs rejected within the last 7 days (0 disables)
   
   // API settings
   PYTHONANYWHERE_API_ENDPOINT: process.env.PYTHONANYWHERE_API_ENDPOINT,
@@ -24,11 +61,75 @@ const CONFIG = {
   EMPTY_QUEUE_DELAY: 5000, // Delay when queue is empty
   ERROR_DELAY: 30000, // Delay after errors
   MAX_RETRIES: 3, // Max retries for a single API call
+  MAX_PROFILE_ATTEMPTS: 5, // Failed processing attempts before a profile is marked "errored"
+  RETRY_BASE_DELAY: 30000, // First retry backoff for a profile, doubled on every further failure
+  RETRY_MAX_DELAY: 30 * 60 * 1000, // Backoff cap
   REQUEST_DELAY: 2000, // Delay between Steam API requests
+  WORKER_COUNT: parseInt(process.env.WORKER_COUNT, 10) || 1, // Profiles validated in parallel
+  CLAIM_TTL: 10 * 60 * 1000, // A worker's claim on a profile expires after this long
+  // Direct (non-proxy) Web API calls all share one rate limit slot of this many ms,
+  // so extra workers only speed up proxied checks unless endpoints get their own
+  DIRECT_API_CALL_INTERVAL: 1000,
+  // Web API method -> ms between its calls, on its own slot instead of the shared one,
+  // e.g. { GetSteamLevel: 500, GetPlayerBans: 500 }
+  DIRECT_API_ENDPOINT_INTERVALS: {},
+  // 'equipped': one GetProfileItemsEquipped call answers all four cosmetic checks,
+  // falling back to the per-item endpoints if it fails. 'per_item': always use the per-item endpoints
+  COSMETIC_CHECK_MODE: process.env.COSMETIC_CHECK_MODE || 'equipped',
+  SUMMARY_BATCH_SIZE: 100, // Queued profiles per GetPlayerSummaries call (Steam allows up to 100)
+  
+  // Inventories to check - each app/context pair is its own check with its own
+  // verdict and item count ("metric" names the count in rule expressions/scoring).
+  // Opt-in checks only run for rule sets that list them.
+  INVENTORY_APPS: [
+    { check: 'csgo_inventory', appid: 730, contextid: 2, metric: 'item_count' }, // CS2
+    { check: 'tf2_inventory', appid: 440, contextid: 2, metric: 'tf2_item_count', optIn: true },
+    { check: 'dota2_inventory', appid: 570, contextid: 2, metric: 'dota2_item_count', optIn: true },
+    { check: 'steam_inventory', appid: 753, contextid: 6, metric: 'steam_item_count', optIn: true } // Cards, emoticons, backgrounds
+  ],
+  INVENTORY_PAGE_SIZE: 2000, // Items per inventory page request
+  INVENTORY_MAX_PAGES: 5, // Pages followed per inventory before falling back to Steam's total count
+  
+  // Default thresholds for the owned_games and cs2_playtime checks (rule sets can override each one)
+  GAME_LIBRARY_THRESHOLDS: {
+    max_games: 10, // Games owned, played free games included
+    max_cs2_hours: 100, // CS2 playtime in total
+    max_cs2_recent_hours: 20, // CS2 playtime in the last two weeks
+    on_hidden: 'pass' // 'pass' or 'fail' profiles that hide their game details
+  },
+  
+  // Default country filter for the location check (ISO country codes, as in loccountrycode; rule sets can override each one)
+  LOCATION_FILTER: {
+    allowed_countries: [], // Empty allows every country that isn't denied
+    denied_countries: [],
+    no_country: 'pass' // Profiles without a country: 'pass', 'fail' or 'review' (passes, submitted flagged for review)
+  },
+  
+  // Scoring settings - defaults for rule sets with "scoring" (see ProfileScorer)
+  SCORE_THRESHOLD: 60, // Minimum fresh-account score (0-100) to accept
+  SCORE_WEIGHTS: {
+    level: { weight: 30, max: 20 },
+    friends_count: { weight: 25, max: 100 },
+    item_count: { weight: 25, max: 50 },
+    has_animated_avatar: { weight: 5 },
+    has_avatar_frame: { weight: 5 },
+    has_mini_profile_background: { weight: 5 },
+    has_profile_background: { weight: 5 }
+  },
+  
+  // Ingest settings
+  MAX_BULK_ITEMS: 500, // Max items per /api/add-steam-ids request
+  BULK_EXISTS_CONCURRENCY: 5, // Parallel database existence checks per bulk request
+  VANITY_CACHE_TTL: 24 * 60 * 60 * 1000, // Cache resolved vanity URLs for 24 hours
+  VANITY_NEGATIVE_CACHE_TTL: 60 * 60 * 1000, // Cache unknown vanity URLs for 1 hour
+  VANITY_CACHE_MAX_ENTRIES: 10000,
+  VANITY_RESOLVE_INTERVAL: 100, // ms between vanity URL lookups (separate from the checks' rate limit)
+  VANITY_RESOLVE_CONCURRENCY: 5, // Parallel vanity URL lookups per bulk request
   
   // Environment variables validation
   STEAM_API_KEY: process.env.STEAM_API_KEY,
   LINK_HARVESTER_API_KEY: process.env.LINK_HARVESTER_API_KEY,
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY, // Optional - admin endpoints are disabled without it
 };
 
 // Validate that required environment variables are present
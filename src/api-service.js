@@ -61,7 +61,9 @@ class ApiService {
     }
   }
 
-  async sendSteamIdToApi(steamId, username) {
+  // score (optional): { score, threshold, breakdown } from a scored rule set
+  // location (optional): { country, needsReview } resolved from the player summary
+  async sendSteamIdToApi(steamId, username, score = null, location = null) {
     if (!this.credentials?.apiKey) {
       return {
         success: false,
@@ -87,6 +89,20 @@ class ApiService {
         api_key: this.credentials.apiKey
       };
       
+      if (score) {
+        params.score = score.score;
+        params.score_threshold = score.threshold;
+        params.score_breakdown = JSON.stringify(score.breakdown);
+      }
+      
+      // country is left out when the profile doesn't show one
+      if (location && location.country) {
+        params.country = location.country;
+      }
+      if (location && location.needsReview) {
+        params.needs_review = 1;
+      }
+      
       // Send the request
       const response = await axios.get(this.apiEndpoint, {
         params,
@@ -144,7 +160,7 @@ class ApiService {
     }
   }
 
-  async handleNewSteamId(steamId, username) {
+  async handleNewSteamId(steamId, username, score = null, location = null) {
     const result = {
       steamId,
       username,
@@ -161,7 +177,7 @@ class ApiService {
     
     try {
       // Send to API with username from parameter (from queue)
-      const apiResponse = await this.sendSteamIdToApi(steamId, username);
+      const apiResponse = await this.sendSteamIdToApi(steamId, username, score, location);
       
       if (apiResponse.success) {
         // Successful API call
@@ -2,15 +2,26 @@
 const express = require('express');
 const cors = require('cors');
 const logger = require('./utils/logger');
+const SteamIdNormalizer = require('./steam-id-normalizer');
+const RejectionCache = require('./rejection-cache');
 
 class ExpressApp {
-  constructor(queueManager, steamValidator, apiService) {
+  constructor(queueManager, steamValidator, apiService, config = {}, stores = {}) {
     this.app = express();
+    this.config = config;
+    this.deadLetterStore = stores.deadLetterStore;
+    this.verdictStore = stores.verdictStore;
+    this.rejectionCache = stores.rejectionCache;
     this.queueManager = queueManager;
+    this.ruleSets = queueManager.ruleSets;
     this.steamValidator = steamValidator;
     this.apiService = apiService;
+    this.steamIdNormalizer = new SteamIdNormalizer(config, steamValidator);
     this.server = null;
     
+    this.requireApiKey = this.requireApiKey.bind(this);
+    this.requireAdminKey = this.requireAdminKey.bind(this);
+    
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
@@ -54,8 +65,7 @@ class ExpressApp {
     this.app.post('/api/add-steam-id', async (req, res) => {
       try {
         // Check API key
-        const apiKey = req.headers['x-api-key'] || req.query.api_key;
-        if (!apiKey || apiKey !== process.env.LINK_HARVESTER_API_KEY) {
+        if (!this.isAuthorized(req)) {
           return res.status(401).json({
             success: false,
             error: 'Invalid API key'
@@ -63,31 +73,45 @@ class ExpressApp {
         }
 
         // Get data from request
-        const { steam_id, username } = req.body;
+        const { steam_id, username, rule_set } = req.body;
 
-        // Validate inputs
-        if (!steam_id || !username) {
+        const { ruleSet, error: ruleSetError } = this.ruleSets.resolve(rule_set, this.getApiKey(req));
+        if (ruleSetError) {
           return res.status(400).json({
             success: false,
-            error: 'Missing required parameters: steam_id and username'
+            error: ruleSetError
           });
         }
 
-        // Clean and validate Steam ID
-        const cleanSteamId = String(steam_id).trim();
-        const cleanUsername = String(username).trim();
-
-        if (!cleanSteamId.match(/^\d{17}$/)) {
-          return res.status(400).json({
+        // Validate inputs and normalize the Steam ID to SteamID64
+        const validation = await this.validateSubmission(steam_id, username);
+        if (validation.error) {
+          // Vanity lookups can fail because Steam is down - that's not the caller's fault
+          return res.status(validation.retryable ? 502 : 400).json({
             success: false,
-            error: 'Invalid Steam ID format. Must be exactly 17 digits'
+            error: validation.error
           });
         }
 
-        if (!cleanUsername || cleanUsername.length < 1) {
-          return res.status(400).json({
-            success: false,
-            error: 'Invalid username. Must be non-empty string'
+        const cleanSteamId = validation.steamId;
+        const cleanUsername = validation.username;
+
+        // Recently rejected under the same rule set - don't spend Steam calls on it again
+        const rejection = this.findRecentRejection(cleanSteamId, ruleSet);
+        if (rejection) {
+          const rejectedBy = rejection.rejected_by === RejectionCache.REJECTED_BY_RULE_SET
+            ? `rule set '${ruleSet.name}'`
+            : `check '${rejection.rejected_by}'`;
+          
+          return res.json({
+            success: true,
+            message: `Steam ID ${cleanSteamId} was rejected recently by ${rejectedBy}`,
+            steam_id: cleanSteamId,
+            username: cleanUsername,
+            rejected_recently: true,
+            rejected_by: rejection.rejected_by,
+            reason: rejection.reason,
+            rejected_at: new Date(rejection.rejected_at).toISOString()
           });
         }
 
@@ -108,7 +132,8 @@ class ExpressApp {
         const queueResult = await this.queueManager.addProfileToQueue(
           cleanSteamId, 
           cleanUsername, 
-          this.apiService
+          this.apiService,
+          ruleSet.name
         );
 
         if (queueResult === null) {
@@ -127,7 +152,8 @@ class ExpressApp {
             success: true,
             message: `Steam ID ${cleanSteamId} added to processing queue`,
             steam_id: cleanSteamId,
-            username: cleanUsername
+            username: cleanUsername,
+            rule_set: queueResult.rule_set
           });
         } else {
           return res.status(500).json({
@@ -145,12 +171,665 @@ class ExpressApp {
       }
     });
 
+    // Bulk add endpoint - one dedup pass and one queue write per batch
+    this.app.post('/api/add-steam-ids', async (req, res) => {
+      try {
+        // Check API key
+        if (!this.isAuthorized(req)) {
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid API key'
+          });
+        }
+
+        const items = Array.isArray(req.body) ? req.body : req.body.items;
+
+        if (!Array.isArray(items) || items.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Request body must be a non-empty array of {steam_id, username} items'
+          });
+        }
+
+        // A batch-wide rule_set applies to items that don't name their own
+        const batchRuleSet = Array.isArray(req.body) ? null : req.body.rule_set;
+        const batchResolution = this.ruleSets.resolve(batchRuleSet, this.getApiKey(req));
+        if (batchResolution.error) {
+          return res.status(400).json({
+            success: false,
+            error: batchResolution.error
+          });
+        }
+
+        const maxItems = this.config.MAX_BULK_ITEMS || 500;
+        if (items.length > maxItems) {
+          return res.status(400).json({
+            success: false,
+            error: `Too many items. Maximum is ${maxItems} per request`
+          });
+        }
+
+        // Validate each item, keeping results in submission order. Vanity links
+        // are resolved for the whole batch at once rather than item by item.
+        const results = new Array(items.length);
+        const validItems = [];
+        const validIndexes = [];
+        const normalized = await this.steamIdNormalizer.normalizeMany(items.map(item => item?.steam_id));
+
+        for (const [index, item] of items.entries()) {
+          const validation = await this.validateSubmission(item?.steam_id, item?.username, normalized[index]);
+          const { ruleSet, error: ruleSetError } = item?.rule_set
+            ? this.ruleSets.resolve(item.rule_set)
+            : batchResolution;
+
+          if (validation.error || ruleSetError) {
+            results[index] = {
+              steam_id: item?.steam_id ?? null,
+              username: item?.username ?? null,
+              // Vanity links Steam couldn't resolve right now can be resubmitted as they are
+              status: validation.retryable ? 'resolve_failed' : 'invalid',
+              error: validation.error || ruleSetError
+            };
+            continue;
+          }
+
+          const rejection = this.findRecentRejection(validation.steamId, ruleSet);
+          if (rejection) {
+            results[index] = {
+              steam_id: validation.steamId,
+              username: validation.username,
+              status: 'rejected_recently',
+              rejected_by: rejection.rejected_by,
+              rejected_at: new Date(rejection.rejected_at).toISOString()
+            };
+          } else {
+            validItems.push({ steam_id: validation.steamId, username: validation.username, rule_set: ruleSet.name });
+            validIndexes.push(index);
+          }
+        }
+
+        if (validItems.length > 0) {
+          const queueResults = await this.queueManager.addProfilesToQueue(validItems, this.apiService);
+          queueResults.forEach((result, i) => {
+            results[validIndexes[i]] = result;
+          });
+        }
+
+        const summary = { queued: 0, already_in_queue: 0, exists_in_db: 0, rejected_recently: 0, invalid: 0, resolve_failed: 0 };
+        for (const result of results) {
+          summary[result.status]++;
+        }
+
+        return res.json({
+          success: true,
+          summary,
+          results
+        });
+
+      } catch (error) {
+        logger.error(`Error in add-steam-ids endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Rule sets a submission can pick with rule_set, and the caller's default
+    this.app.get('/api/rule-sets', this.requireApiKey, (req, res) => {
+      const { ruleSet: defaultForKey } = this.ruleSets.resolve(null, this.getApiKey(req));
+
+      return res.json({
+        success: true,
+        default_rule_set: defaultForKey.name,
+        rule_sets: this.ruleSets.list(),
+        shadow_rule_sets: Object.fromEntries(this.ruleSets.shadows)
+      });
+    });
+
+    // Dry run: run a rule set's checks for one ID right away and report every
+    // result. Nothing is queued, cached or sent to the API.
+    this.app.post('/api/evaluate', this.requireApiKey, async (req, res) => {
+      try {
+        const { steam_id, rule_set } = req.body;
+
+        if (!steam_id) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing required parameter: steam_id'
+          });
+        }
+
+        const { ruleSet, error: ruleSetError } = this.ruleSets.resolve(rule_set, this.getApiKey(req));
+        if (ruleSetError) {
+          return res.status(400).json({
+            success: false,
+            error: ruleSetError
+          });
+        }
+
+        const normalized = await this.steamIdNormalizer.normalize(steam_id);
+        if (!normalized.success) {
+          return res.status(normalized.retryable ? 502 : 400).json({
+            success: false,
+            error: normalized.error
+          });
+        }
+
+        const startedAt = Date.now();
+        const checks = await this.steamValidator.dryRun(normalized.steamId, ruleSet.checks);
+
+        // Verdict the rule set would reach from the checks that succeeded
+        const results = {};
+        for (const [checkName, check] of Object.entries(checks)) {
+          if (check.success) {
+            results[checkName] = { passed: check.passed, details: check.details };
+          }
+        }
+        const decision = this.ruleSets.decide(ruleSet, results);
+
+        return res.json({
+          success: true,
+          steam_id: normalized.steamId,
+          rule_set: ruleSet.name,
+          verdict: decision === null ? 'undecided' : (decision ? 'accepted' : 'rejected'),
+          failed_checks: Object.keys(results).filter(checkName => !results[checkName].passed),
+          score: ruleSet.scorer ? ruleSet.scorer.score(results) : null,
+          checks,
+          duration_ms: Date.now() - startedAt
+        });
+      } catch (error) {
+        logger.error(`Error in evaluate endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Queue statistics (same numbers the periodic status log reports)
+    this.app.get('/api/queue/stats', this.requireApiKey, async (req, res) => {
+      try {
+        const [queueStats, deferredStats] = await Promise.all([
+          this.queueManager.getQueueStats(),
+          this.queueManager.getDeferredCheckStats()
+        ]);
+
+        return res.json({
+          success: true,
+          queue: queueStats,
+          deferred: deferredStats
+        });
+      } catch (error) {
+        logger.error(`Error in queue stats endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // List queued profiles - ?page=&page_size=&username=&check_status=&check=
+    this.app.get('/api/queue', this.requireApiKey, async (req, res) => {
+      try {
+        const { page, pageSize, error } = this.parsePagination(req);
+        const validStatuses = ['to_check', 'passed', 'failed', 'deferred'];
+
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error
+          });
+        }
+
+        if (req.query.check_status && !validStatuses.includes(req.query.check_status)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid check_status. Valid statuses: ${validStatuses.join(', ')}`
+          });
+        }
+
+        const result = await this.queueManager.listProfiles({
+          username: req.query.username || null,
+          checkStatus: req.query.check_status || null,
+          checkName: req.query.check || null,
+          page,
+          pageSize
+        });
+
+        return res.json({
+          success: true,
+          total: result.total,
+          page: result.page,
+          page_size: result.pageSize,
+          profiles: result.profiles.map(profile => this.formatQueuedProfile(profile))
+        });
+      } catch (error) {
+        logger.error(`Error in queue list endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Single queued profile
+    this.app.get('/api/queue/:steamId', this.requireApiKey, async (req, res) => {
+      try {
+        const profile = await this.queueManager.getProfileBySteamId(req.params.steamId);
+
+        if (!profile) {
+          return res.status(404).json({
+            success: false,
+            error: `Steam ID ${req.params.steamId} is not in the queue`
+          });
+        }
+
+        return res.json({
+          success: true,
+          profile: this.formatQueuedProfile(profile)
+        });
+      } catch (error) {
+        logger.error(`Error in queue profile endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Admin: evict a profile from the queue
+    this.app.delete('/api/queue/:steamId', this.requireAdminKey, async (req, res) => {
+      try {
+        const removed = await this.queueManager.removeProfileFromQueue(req.params.steamId);
+
+        if (!removed) {
+          return res.status(404).json({
+            success: false,
+            error: `Steam ID ${req.params.steamId} is not in the queue`
+          });
+        }
+
+        logger.info(`Admin evicted ${req.params.steamId} from queue`);
+        return res.json({
+          success: true,
+          message: `Steam ID ${req.params.steamId} removed from queue`
+        });
+      } catch (error) {
+        logger.error(`Error in queue evict endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Admin: set all checks, or those listed in body.checks, back to "to_check"
+    this.app.post('/api/queue/:steamId/reset', this.requireAdminKey, async (req, res) => {
+      try {
+        const checks = req.body?.checks ?? null;
+
+        if (checks !== null && (!Array.isArray(checks) || checks.length === 0)) {
+          return res.status(400).json({
+            success: false,
+            error: 'checks must be a non-empty array of check names'
+          });
+        }
+
+        const existing = await this.queueManager.getProfileBySteamId(req.params.steamId);
+        if (!existing) {
+          return res.status(404).json({
+            success: false,
+            error: `Steam ID ${req.params.steamId} is not in the queue`
+          });
+        }
+
+        const unknownChecks = (checks || []).filter(name => !(name in existing.checks));
+        if (unknownChecks.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: `Unknown checks: ${unknownChecks.join(', ')}. Valid checks: ${Object.keys(existing.checks).join(', ')}`
+          });
+        }
+
+        const profile = await this.queueManager.resetProfileChecks(req.params.steamId, checks);
+
+        if (!profile) {
+          return res.status(404).json({
+            success: false,
+            error: `Steam ID ${req.params.steamId} is not in the queue`
+          });
+        }
+
+        return res.json({
+          success: true,
+          profile: this.formatQueuedProfile(profile)
+        });
+      } catch (error) {
+        logger.error(`Error in queue reset endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Admin: move a profile to the head of the queue
+    this.app.post('/api/queue/:steamId/promote', this.requireAdminKey, async (req, res) => {
+      try {
+        const profile = await this.queueManager.promoteProfile(req.params.steamId);
+
+        if (!profile) {
+          return res.status(404).json({
+            success: false,
+            error: `Steam ID ${req.params.steamId} is not in the queue`
+          });
+        }
+
+        return res.json({
+          success: true,
+          message: `Steam ID ${req.params.steamId} moved to the head of the queue`
+        });
+      } catch (error) {
+        logger.error(`Error in queue promote endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Verdict history - ?username=&outcome=&decided_by=&page=&page_size=
+    this.app.get('/api/verdicts', this.requireApiKey, async (req, res) => {
+      try {
+        const { page, pageSize, error } = this.parsePagination(req);
+
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error
+          });
+        }
+
+        const result = await this.verdictStore.list({
+          username: req.query.username || null,
+          outcome: req.query.outcome || null,
+          decidedBy: req.query.decided_by || null,
+          page,
+          pageSize
+        });
+
+        return res.json({
+          success: true,
+          total: result.total,
+          page: result.page,
+          page_size: result.pageSize,
+          verdicts: result.verdicts.map(verdict => this.formatVerdict(verdict))
+        });
+      } catch (error) {
+        logger.error(`Error in verdict list endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // How often shadow rule sets disagreed with the active ones, grouped by check
+    this.app.get('/api/shadow/summary', this.requireApiKey, async (req, res) => {
+      try {
+        let since = null;
+
+        if (req.query.since) {
+          since = Date.parse(req.query.since);
+
+          if (Number.isNaN(since)) {
+            return res.status(400).json({
+              success: false,
+              error: 'since must be a date (e.g. 2024-05-01 or an ISO timestamp)'
+            });
+          }
+        }
+
+        const summaries = await this.verdictStore.shadowSummary({
+          ruleSet: req.query.rule_set || null,
+          since
+        });
+
+        return res.json({
+          success: true,
+          since: since ? new Date(since).toISOString() : null,
+          shadow_rule_sets: Object.fromEntries(this.ruleSets.shadows),
+          summaries
+        });
+      } catch (error) {
+        logger.error(`Error in shadow summary endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // All verdicts recorded for a Steam ID, newest first
+    this.app.get('/api/verdicts/:steamId', this.requireApiKey, async (req, res) => {
+      try {
+        const verdicts = await this.verdictStore.findBySteamId(req.params.steamId);
+
+        if (verdicts.length === 0) {
+          return res.status(404).json({
+            success: false,
+            error: `No verdicts recorded for Steam ID ${req.params.steamId}`
+          });
+        }
+
+        return res.json({
+          success: true,
+          steam_id: req.params.steamId,
+          verdicts: verdicts.map(verdict => this.formatVerdict(verdict))
+        });
+      } catch (error) {
+        logger.error(`Error in verdict lookup endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Admin: drop a single Steam ID from the rejection cache
+    this.app.delete('/api/rejections/:steamId', this.requireAdminKey, async (req, res) => {
+      try {
+        const removed = await this.rejectionCache.remove(req.params.steamId);
+
+        if (!removed) {
+          return res.status(404).json({
+            success: false,
+            error: `Steam ID ${req.params.steamId} is not in the rejection cache`
+          });
+        }
+
+        return res.json({
+          success: true,
+          cleared: 1
+        });
+      } catch (error) {
+        logger.error(`Error in rejection clear endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Admin: empty the rejection cache
+    this.app.delete('/api/rejections', this.requireAdminKey, async (req, res) => {
+      try {
+        const cleared = await this.rejectionCache.clear();
+
+        return res.json({
+          success: true,
+          cleared
+        });
+      } catch (error) {
+        logger.error(`Error in rejection clear endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Admin: list dead-lettered profiles - ?page=&page_size=&reason=&username=
+    this.app.get('/api/dead-letters', this.requireAdminKey, async (req, res) => {
+      try {
+        const { page, pageSize, error } = this.parsePagination(req);
+
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error
+          });
+        }
+
+        const [result, stats] = await Promise.all([
+          this.deadLetterStore.list({
+            reason: req.query.reason || null,
+            username: req.query.username || null,
+            page,
+            pageSize
+          }),
+          this.deadLetterStore.getStats()
+        ]);
+
+        return res.json({
+          success: true,
+          total: result.total,
+          page: result.page,
+          page_size: result.pageSize,
+          by_reason: stats.byReason,
+          entries: result.entries.map(entry => this.formatDeadLetter(entry))
+        });
+      } catch (error) {
+        logger.error(`Error in dead-letter list endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Admin: inspect a single dead-lettered profile
+    this.app.get('/api/dead-letters/:steamId', this.requireAdminKey, async (req, res) => {
+      try {
+        const entry = await this.deadLetterStore.get(req.params.steamId);
+
+        if (!entry) {
+          return res.status(404).json({
+            success: false,
+            error: `Steam ID ${req.params.steamId} is not in the dead-letter store`
+          });
+        }
+
+        return res.json({
+          success: true,
+          entry: this.formatDeadLetter(entry)
+        });
+      } catch (error) {
+        logger.error(`Error in dead-letter inspect endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Admin: put a dead-lettered profile back on the queue
+    this.app.post('/api/dead-letters/:steamId/replay', this.requireAdminKey, async (req, res) => {
+      try {
+        const profile = await this.deadLetterStore.replay(req.params.steamId, this.queueManager);
+
+        if (!profile) {
+          return res.status(404).json({
+            success: false,
+            error: `Steam ID ${req.params.steamId} is not in the dead-letter store`
+          });
+        }
+
+        return res.json({
+          success: true,
+          message: `Steam ID ${req.params.steamId} replayed into the queue`,
+          profile: this.formatQueuedProfile(profile)
+        });
+      } catch (error) {
+        logger.error(`Error in dead-letter replay endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Admin: purge a single dead-lettered profile
+    this.app.delete('/api/dead-letters/:steamId', this.requireAdminKey, async (req, res) => {
+      try {
+        const removed = await this.deadLetterStore.remove(req.params.steamId);
+
+        if (!removed) {
+          return res.status(404).json({
+            success: false,
+            error: `Steam ID ${req.params.steamId} is not in the dead-letter store`
+          });
+        }
+
+        return res.json({
+          success: true,
+          purged: 1
+        });
+      } catch (error) {
+        logger.error(`Error in dead-letter purge endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
+    // Admin: purge all dead-lettered profiles, or only those older than ?before=<ISO date>
+    this.app.delete('/api/dead-letters', this.requireAdminKey, async (req, res) => {
+      try {
+        let before = null;
+
+        if (req.query.before) {
+          before = Date.parse(req.query.before);
+          if (Number.isNaN(before)) {
+            return res.status(400).json({
+              success: false,
+              error: 'before must be an ISO 8601 date'
+            });
+          }
+        }
+
+        const purged = await this.deadLetterStore.purge({ before });
+
+        return res.json({
+          success: true,
+          purged
+        });
+      } catch (error) {
+        logger.error(`Error in dead-letter purge endpoint: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
+    });
+
     // GET version of add-steam-id for compatibility
     this.app.get('/api/add-steam-id', async (req, res) => {
       try {
         // Check API key
-        const apiKey = req.headers['x-api-key'] || req.query.api_key;
-        if (!apiKey || apiKey !== process.env.LINK_HARVESTER_API_KEY) {
+        if (!this.isAuthorized(req)) {
           return res.status(401).json({
             success: false,
             error: 'Invalid API key'
@@ -160,9 +839,10 @@ class ExpressApp {
         // Get parameters
         const steam_id = req.query.steam_id || req.headers['x-steam-id'];
         const username = req.query.username || req.headers['x-username'];
+        const rule_set = req.query.rule_set;
 
         // Create request body and call POST handler
-        req.body = { steam_id, username };
+        req.body = { steam_id, username, rule_set };
         
         // Call the POST handler
         return this.app._router.handle({ 
@@ -187,12 +867,135 @@ class ExpressApp {
         status: 'running',
         endpoints: {
           health: 'GET /api/health',
-          add_steam_id: 'POST /api/add-steam-id'
+          add_steam_id: 'POST /api/add-steam-id',
+          add_steam_ids: 'POST /api/add-steam-ids',
+          rule_sets: 'GET /api/rule-sets',
+          evaluate: 'POST /api/evaluate',
+          queue: 'GET /api/queue',
+          queue_profile: 'GET /api/queue/:steamId',
+          queue_stats: 'GET /api/queue/stats',
+          queue_evict: 'DELETE /api/queue/:steamId (admin)',
+          queue_reset: 'POST /api/queue/:steamId/reset (admin)',
+          queue_promote: 'POST /api/queue/:steamId/promote (admin)',
+          verdicts: 'GET /api/verdicts',
+          verdict: 'GET /api/verdicts/:steamId',
+          shadow_summary: 'GET /api/shadow/summary',
+          rejections: 'DELETE /api/rejections[/:steamId] (admin)',
+          dead_letters: 'GET|DELETE /api/dead-letters (admin)',
+          dead_letter: 'GET|DELETE /api/dead-letters/:steamId (admin)',
+          dead_letter_replay: 'POST /api/dead-letters/:steamId/replay (admin)'
         }
       });
     });
   }
 
+  getApiKey(req) {
+    return req.headers['x-api-key'] || req.query.api_key || null;
+  }
+
+  // The main harvester key, or one of the per-rule-set keys from the rule set file
+  isAuthorized(req) {
+    const apiKey = this.getApiKey(req);
+    return Boolean(apiKey) && (apiKey === process.env.LINK_HARVESTER_API_KEY || this.ruleSets.isKnownApiKey(apiKey));
+  }
+
+  // Middleware version of isAuthorized for routes that only need the key check
+  requireApiKey(req, res, next) {
+    if (!this.isAuthorized(req)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key'
+      });
+    }
+    next();
+  }
+
+  // Admin routes use their own key so a leaked harvester key can't modify the queue
+  requireAdminKey(req, res, next) {
+    const adminKey = this.config.ADMIN_API_KEY;
+    const providedKey = req.headers['x-admin-key'] || req.query.admin_key;
+
+    if (!adminKey) {
+      return res.status(503).json({
+        success: false,
+        error: 'Admin endpoints are disabled (ADMIN_API_KEY not set)'
+      });
+    }
+
+    if (!providedKey || providedKey !== adminKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid admin key'
+      });
+    }
+    next();
+  }
+
+  parsePagination(req) {
+    const page = parseInt(req.query.page, 10) || 1;
+    const pageSize = parseInt(req.query.page_size, 10) || 50;
+
+    if (page < 1 || pageSize < 1 || pageSize > 500) {
+      return { error: 'page must be >= 1 and page_size between 1 and 500' };
+    }
+
+    return { page, pageSize };
+  }
+
+  formatVerdict(verdict) {
+    return {
+      ...verdict,
+      enqueued_at: verdict.enqueued_at ? new Date(verdict.enqueued_at).toISOString() : null,
+      decided_at: new Date(verdict.decided_at).toISOString()
+    };
+  }
+
+  formatDeadLetter(entry) {
+    return {
+      ...entry,
+      dead_lettered_at: new Date(entry.timestamp).toISOString()
+    };
+  }
+
+  findRecentRejection(steamId, ruleSet) {
+    return this.rejectionCache.get(steamId, ruleSet.name, this.ruleSets.getDefault().name);
+  }
+
+  formatQueuedProfile(profile) {
+    return {
+      ...profile,
+      enqueued_at: new Date(profile.timestamp).toISOString()
+    };
+  }
+
+  // Clean and validate a single steam_id/username submission.
+  // steam_id may be a SteamID64, SteamID2, SteamID3 or a profile/vanity link.
+  // normalized: the steamIdNormalizer result for steam_id, if already known
+  async validateSubmission(steam_id, username, normalized = null) {
+    if (!steam_id || !username) {
+      return { error: 'Missing required parameters: steam_id and username' };
+    }
+
+    // No coercion - an object or array must not be queued under its string form
+    const cleanUsername = typeof username === 'string' ? username.trim() : '';
+
+    if (!cleanUsername) {
+      return { error: 'Invalid username. Must be non-empty string' };
+    }
+
+    const result = normalized || await this.steamIdNormalizer.normalize(steam_id);
+
+    if (!result.success) {
+      return { error: result.error, retryable: result.retryable };
+    }
+
+    if (result.format !== 'steamid64') {
+      logger.debug(`Normalized ${result.format} '${steam_id}' to ${result.steamId}`);
+    }
+
+    return { steamId: result.steamId, username: cleanUsername };
+  }
+
   setupErrorHandling() {
     // 404 handler
     this.app.use('*', (req, res) => {
@@ -0,0 +1,410 @@
+// src/check-registry.js
+const logger = require('./utils/logger');
+const InventoryClassifier = require('./inventory-classifier');
+
+// Ban rules (thresholds of the 'bans' check):
+//   max_vac_bans, max_game_bans: most VAC/game bans allowed (default 0)
+//   min_days_since_last_ban:     with VAC/game bans allowed, the last one must be at least this old
+//   allow_community_ban:         default false
+//   allowed_economy_bans:        EconomyBan values allowed: "none", "probation", "banned" (default ["none"])
+function passesBanRules(details, {
+  max_vac_bans = 0,
+  max_game_bans = 0,
+  min_days_since_last_ban = null,
+  allow_community_ban = false,
+  allowed_economy_bans = ['none']
+}) {
+  const vacBans = details.vac_bans ?? 0;
+  const gameBans = details.game_bans ?? 0;
+  const hasBans = vacBans > 0 || gameBans > 0;
+
+  return vacBans <= max_vac_bans &&
+    gameBans <= max_game_bans &&
+    (!hasBans || min_days_since_last_ban === null || (details.days_since_last_ban ?? 0) >= min_days_since_last_ban) &&
+    (allow_community_ban || !details.community_banned) &&
+    allowed_economy_bans.includes(details.economy_ban ?? 'none');
+}
+
+// GetUserGroupList reports groups by their 32-bit ID; add this for the 64-bit
+// ID (the groupID64 of a group page)
+const GROUP_ID64_BASE = 103582791429521408n;
+
+function toGroupAccountId(groupId) {
+  const id = BigInt(groupId);
+  return String(id >= GROUP_ID64_BASE ? id - GROUP_ID64_BASE : id);
+}
+
+// What a check does with a profile that hides what it looks at
+const HIDDEN_OUTCOMES = ['pass', 'fail'];
+
+// Group rules (thresholds of the 'groups' check):
+//   max_groups:     most groups the profile may be a member of (default 10)
+//   blocked_groups: group IDs (32- or 64-bit, as strings) that reject the profile outright
+//   on_hidden:      whether profiles hiding their group list "pass" (default) or "fail"
+// A hidden group list gets details.outcome 'hidden' and no groups.
+function passesGroupRules(details, { max_groups = 10, blocked_groups = [], on_hidden = 'pass' }) {
+  if (details.outcome === 'hidden') {
+    return on_hidden === 'pass';
+  }
+
+  const blocked = blocked_groups.map(toGroupAccountId);
+  return (details.group_count ?? 0) <= max_groups &&
+    !(details.groups || []).some(groupId => blocked.includes(groupId));
+}
+
+function validateGroupRules({ blocked_groups = [], on_hidden = 'pass' }) {
+  const isGroupId = id => (typeof id === 'string' && /^\d+$/.test(id)) || Number.isSafeInteger(id);
+
+  if (!Array.isArray(blocked_groups) || !blocked_groups.every(isGroupId)) {
+    throw new Error('"blocked_groups" must be a list of group IDs (64-bit IDs as strings)');
+  }
+
+  if (!HIDDEN_OUTCOMES.includes(on_hidden)) {
+    throw new Error(`"on_hidden" must be one of ${HIDDEN_OUTCOMES.join(', ')}`);
+  }
+}
+
+// Every check a queued profile goes through, in the order they run.
+//   run:              SteamValidator method that performs the check
+//   needsProxy:       goes through ProxyManager connections (rate limited, deferred when all are in cooldown)
+//   onPrivateProfile: 'run' as usual, or 'auto_pass' once the profile is known to be private
+//   metrics:          values rule expressions and scoring can use, read from the check's details.
+//                     Private/empty results have no count in their details, which reads as 0.
+//                     Cosmetic checks only return details when the item is equipped.
+//   optIn:            left out of the built-in rule set; only runs for rule sets that list it
+//   params:           extra argument for the SteamValidator method (which inventory to look at)
+//   validate:         throws for thresholds the check can't use, so rule set files fail at startup
+//   passes:           for checks with thresholds, whether recorded details pass a given set of
+//                     thresholds (same defaults as the SteamValidator method), so a result can be
+//                     re-judged under another rule set without calling Steam again
+// The location check (see locationCheck) is registered ahead of these.
+const DEFAULT_CHECKS = [
+  // Answered from the player summary and bans the batched lookups stage stores
+  // with the profile, so they cost no requests of their own (and run first)
+  {
+    name: 'account_age', run: 'checkAccountAge', needsProxy: false, onPrivateProfile: 'run', optIn: true,
+    metrics: { account_age_days: details => details.age_days },
+    passes: (details, { min_days = 0, max_days = null }) =>
+      details.age_days === undefined || (details.age_days >= min_days && (max_days === null || details.age_days <= max_days))
+  },
+  {
+    name: 'profile_not_set_up', run: 'checkProfileNotSetUp', needsProxy: false, onPrivateProfile: 'run', optIn: true,
+    metrics: { profile_configured: details => details.profile_configured }
+  },
+  {
+    name: 'default_avatar', run: 'checkDefaultAvatar', needsProxy: false, onPrivateProfile: 'run', optIn: true,
+    metrics: { has_custom_avatar: details => details.default_avatar === undefined ? undefined : !details.default_avatar }
+  },
+  {
+    name: 'bans', run: 'checkBans', needsProxy: false, onPrivateProfile: 'run', optIn: true,
+    metrics: {
+      vac_bans: details => details.vac_bans,
+      game_bans: details => details.game_bans,
+      days_since_last_ban: details => details.days_since_last_ban,
+      community_banned: details => details.community_banned,
+      economy_banned: details => (details.economy_ban === undefined ? undefined : details.economy_ban !== 'none')
+    },
+    passes: passesBanRules
+  },
+  {
+    name: 'animated_avatar', run: 'checkAnimatedAvatar', needsProxy: false, onPrivateProfile: 'run',
+    metrics: { has_animated_avatar: details => Object.keys(details).length > 0 }
+  },
+  {
+    name: 'avatar_frame', run: 'checkAvatarFrame', needsProxy: false, onPrivateProfile: 'run',
+    metrics: { has_avatar_frame: details => Object.keys(details).length > 0 }
+  },
+  {
+    name: 'mini_profile_background', run: 'checkMiniProfileBackground', needsProxy: false, onPrivateProfile: 'run',
+    metrics: { has_mini_profile_background: details => Object.keys(details).length > 0 }
+  },
+  {
+    name: 'profile_background', run: 'checkProfileBackground', needsProxy: false, onPrivateProfile: 'run',
+    metrics: { has_profile_background: details => Object.keys(details).length > 0 }
+  },
+  {
+    name: 'steam_level', run: 'checkSteamLevel', needsProxy: false, onPrivateProfile: 'run',
+    metrics: { level: details => details.player_level ?? 0 },
+    passes: (details, { max_level = 13 }) => (details.player_level ?? 0) <= max_level
+  },
+  {
+    name: 'friends', run: 'checkFriends', needsProxy: true, onPrivateProfile: 'auto_pass',
+    metrics: { friends_count: details => details.friends_count ?? 0 },
+    passes: (details, { max_friends = 60 }) => (details.friends_count ?? 0) <= max_friends
+  },
+  {
+    name: 'groups', run: 'checkGroups', needsProxy: false, onPrivateProfile: 'auto_pass', optIn: true,
+    metrics: {
+      group_count: details => details.group_count ?? 0,
+      groups_hidden: details => details.outcome === 'hidden'
+    },
+    validate: validateGroupRules,
+    passes: passesGroupRules
+  }
+  // ...followed by the game library checks (see gameLibraryChecks) and one
+  // inventory check per INVENTORY_APPS entry (see inventoryCheck)
+];
+
+// Inventories checked when the config doesn't list any
+const DEFAULT_INVENTORY_APPS = [
+  { check: 'csgo_inventory', appid: 730, contextid: 2, metric: 'item_count' }
+];
+
+// Check definition for one app/context inventory, e.g.
+//   { check: 'tf2_inventory', appid: 440, contextid: 2, metric: 'tf2_item_count', optIn: true }
+// The metric and max_items read the items that count (ignored classes left out).
+function inventoryCheck({ check, appid, contextid, metric = null, optIn = false }) {
+  return {
+    name: check, run: 'checkInventory', needsProxy: true, onPrivateProfile: 'auto_pass', optIn,
+    params: { appid, contextid },
+    metrics: metric ? { [metric]: details => details.counted_items ?? details.item_count ?? 0 } : {},
+    validate: ({ ignore = [] }) => InventoryClassifier.validateIgnore(ignore),
+    passes: (details, { max_items = 0, ignore = [] }) => InventoryClassifier.countedItems(details, ignore) <= max_items
+  };
+}
+
+// Country filter used when the config doesn't set LOCATION_FILTER
+const DEFAULT_LOCATION_FILTER = { allowed_countries: [], denied_countries: [], no_country: 'pass' };
+const NO_COUNTRY_POLICIES = ['pass', 'fail', 'review'];
+
+// Country a profile shows (loccountrycode from the player summary) against
+// allowed_countries/denied_countries; denied wins, and an empty allow list
+// allows every country. Profiles without a country follow no_country: 'pass',
+// 'fail' or 'review' (passes, and the submission is flagged for review).
+// Options a rule set leaves out come from the config.
+function locationCheck(filter = {}) {
+  const withDefaults = options => ({ ...DEFAULT_LOCATION_FILTER, ...filter, ...options });
+  const isCountryList = list => Array.isArray(list) && list.every(code => typeof code === 'string' && /^[A-Za-z]{2}$/.test(code));
+  const upperCase = list => list.map(code => code.toUpperCase());
+
+  return {
+    name: 'location', run: 'checkLocation', needsProxy: false, onPrivateProfile: 'run', optIn: true,
+    metrics: { has_country: details => details.country === undefined ? undefined : details.country !== null },
+    validate: options => {
+      const { allowed_countries, denied_countries, no_country } = withDefaults(options);
+
+      if (!isCountryList(allowed_countries) || !isCountryList(denied_countries)) {
+        throw new Error('"allowed_countries" and "denied_countries" must be lists of two-letter country codes');
+      }
+
+      if (!NO_COUNTRY_POLICIES.includes(no_country)) {
+        throw new Error(`"no_country" must be one of ${NO_COUNTRY_POLICIES.join(', ')}`);
+      }
+    },
+    passes: (details, options) => {
+      const { allowed_countries, denied_countries, no_country } = withDefaults(options);
+
+      if (!details.country) {
+        return no_country !== 'fail';
+      }
+
+      const country = details.country.toUpperCase();
+      return !upperCase(denied_countries).includes(country) &&
+        (allowed_countries.length === 0 || upperCase(allowed_countries).includes(country));
+    }
+  };
+}
+
+// Game library thresholds used when the config doesn't set GAME_LIBRARY_THRESHOLDS
+const DEFAULT_GAME_LIBRARY_THRESHOLDS = { max_games: 10, max_cs2_hours: 100, max_cs2_recent_hours: 20, on_hidden: 'pass' };
+
+// Checks backed by GetOwnedGames and GetRecentlyPlayedGames. Thresholds a rule
+// set leaves out come from the config:
+//   owned_games:  max_games
+//   cs2_playtime: max_cs2_hours (in total), max_cs2_recent_hours (last two weeks)
+//   both:         on_hidden - whether profiles hiding their game details "pass" or "fail"
+// A profile hiding its game details gets details.outcome 'hidden' and no counts.
+function gameLibraryChecks(thresholds = {}) {
+  const withDefaults = options => ({ ...DEFAULT_GAME_LIBRARY_THRESHOLDS, ...thresholds, ...options });
+  const hidden = details => details.outcome === 'hidden';
+
+  const validate = options => {
+    if (!HIDDEN_OUTCOMES.includes(withDefaults(options).on_hidden)) {
+      throw new Error(`"on_hidden" must be one of ${HIDDEN_OUTCOMES.join(', ')}`);
+    }
+  };
+
+  return [
+    {
+      name: 'owned_games', run: 'checkOwnedGames', needsProxy: false, onPrivateProfile: 'run', optIn: true,
+      metrics: {
+        games_owned: details => details.game_count,
+        game_details_hidden: details => hidden(details)
+      },
+      validate,
+      passes: (details, options) => {
+        const { max_games, on_hidden } = withDefaults(options);
+        return hidden(details) ? on_hidden === 'pass' : (details.game_count ?? 0) <= max_games;
+      }
+    },
+    {
+      name: 'cs2_playtime', run: 'checkCs2Playtime', needsProxy: false, onPrivateProfile: 'run', optIn: true,
+      metrics: {
+        cs2_hours: details => details.playtime_hours,
+        cs2_recent_hours: details => details.recent_playtime_hours
+      },
+      validate,
+      passes: (details, options) => {
+        const { max_cs2_hours, max_cs2_recent_hours, on_hidden } = withDefaults(options);
+        return hidden(details)
+          ? on_hidden === 'pass'
+          : (details.playtime_hours ?? 0) <= max_cs2_hours && (details.recent_playtime_hours ?? 0) <= max_cs2_recent_hours;
+      }
+    }
+  ];
+}
+
+const PRIVATE_PROFILE_BEHAVIOURS = ['run', 'auto_pass'];
+
+// Single source of truth for which checks exist and how they are run. The
+// queue, the processing loop and the deferred-check logic all read from here,
+// so adding a check means adding one entry (and its SteamValidator method).
+class CheckRegistry {
+  constructor(config = {}, definitions = DEFAULT_CHECKS) {
+    this.checks = new Map();
+
+    // Answered from the player summary like the first DEFAULT_CHECKS entries
+    this.register(locationCheck(config.LOCATION_FILTER));
+
+    for (const definition of definitions) {
+      this.register(definition);
+    }
+
+    for (const definition of gameLibraryChecks(config.GAME_LIBRARY_THRESHOLDS)) {
+      this.register(definition);
+    }
+
+    for (const inventory of config.INVENTORY_APPS || DEFAULT_INVENTORY_APPS) {
+      this.register(inventoryCheck(inventory));
+    }
+  }
+
+  register({ name, run, needsProxy = false, onPrivateProfile = 'run', optIn = false, params = null, metrics = {}, validate = null, passes = null }) {
+    if (!name || !run) {
+      throw new Error('Check definitions need a name and a SteamValidator method');
+    }
+
+    if (!PRIVATE_PROFILE_BEHAVIOURS.includes(onPrivateProfile)) {
+      throw new Error(`Check '${name}': onPrivateProfile must be one of ${PRIVATE_PROFILE_BEHAVIOURS.join(', ')}`);
+    }
+
+    if (this.checks.has(name)) {
+      throw new Error(`Check '${name}' is registered twice`);
+    }
+
+    this.checks.set(name, { name, run, needsProxy, onPrivateProfile, optIn, params, metrics, validate, passes });
+  }
+
+  get(name) {
+    return this.checks.get(name) || null;
+  }
+
+  has(name) {
+    return this.checks.has(name);
+  }
+
+  names() {
+    return Array.from(this.checks.keys());
+  }
+
+  // Checks the built-in rule set runs
+  standardNames() {
+    return this.names().filter(name => !this.get(name).optIn);
+  }
+
+  needsProxy(name) {
+    const check = this.get(name);
+    return Boolean(check && check.needsProxy);
+  }
+
+  // Checks that can still run while every proxy connection is in cooldown
+  directCheckNames() {
+    return this.names().filter(name => !this.needsProxy(name));
+  }
+
+  autoPassesOnPrivateProfile(name) {
+    const check = this.get(name);
+    return Boolean(check && check.onPrivateProfile === 'auto_pass');
+  }
+
+  // What a name in a rule expression refers to: a check name (did it pass),
+  // a declared metric, or <check>.<detail>. Returns { check, read(result) } or null.
+  resolveVariable(name) {
+    if (this.has(name)) {
+      return { check: name, read: result => result.passed };
+    }
+
+    for (const check of this.checks.values()) {
+      if (check.metrics[name]) {
+        return { check: check.name, read: result => check.metrics[name](result.details || {}) };
+      }
+    }
+
+    const [checkName, detail] = name.split('.');
+    if (detail && this.has(checkName)) {
+      return { check: checkName, read: result => (result.details || {})[detail] };
+    }
+
+    return null;
+  }
+
+  // Throws if a rule set passes a check thresholds it can't use
+  validateOptions(name, options) {
+    const check = this.get(name);
+
+    if (check && check.validate) {
+      check.validate(options);
+    }
+  }
+
+  // Whether a completed result passes the given thresholds. Checks without
+  // thresholds keep the outcome they were recorded with, and an ID Steam has
+  // no account for fails under any thresholds.
+  judge(name, result, options = {}) {
+    const check = this.get(name);
+
+    if (!check || !check.passes || (result.details && result.details.outcome === 'not_found')) {
+      return result.passed;
+    }
+
+    return check.passes(result.details || {}, options);
+  }
+
+  // Initial checks object for a newly queued profile, in registry order
+  createChecks(selected = this.names()) {
+    const checks = {};
+    for (const name of this.names()) {
+      if (selected.includes(name)) {
+        checks[name] = "to_check";
+      }
+    }
+    return checks;
+  }
+
+  // Run a check through its SteamValidator method with the rule set's thresholds.
+  // Proxy checks that could not run because every connection is in cooldown
+  // are put on the deferred list, unless defer is false (dry runs). lookups holds
+  // what the batched lookups stage already fetched (player_summary, player_bans).
+  async run(steamValidator, name, steamId, options = {}, { defer = true, lookups = {} } = {}) {
+    const check = this.get(name);
+
+    if (!check || typeof steamValidator[check.run] !== 'function') {
+      logger.error(`Unknown check type: ${name}`);
+      return {
+        success: false,
+        passed: false,
+        error: `Unknown check type: ${name}`
+      };
+    }
+
+    const result = await steamValidator[check.run](steamId, options, lookups, check.params);
+
+    if (result.deferred && defer) {
+      steamValidator.addToDeferredChecks(steamId, name);
+    }
+
+    return result;
+  }
+}
+
+module.exports = CheckRegistry;
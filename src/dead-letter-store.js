@@ -0,0 +1,112 @@
+// src/dead-letter-store.js
+const logger = require('./utils/logger');
+const JournalStore = require('./journal-store');
+
+// Profiles that left the queue because of a permanent error rather than a
+// verdict. Keeps the full queue entry (including check results) so it can be
+// inspected and replayed instead of being lost with the log line.
+class DeadLetterStore {
+  constructor(config) {
+    this.config = config;
+    this.store = new JournalStore({
+      name: 'Dead-letter store',
+      snapshotPath: config.DEAD_LETTER_SNAPSHOT_PATH,
+      journalPath: config.DEAD_LETTER_JOURNAL_PATH,
+      keyField: 'steam_id',
+      compactThreshold: config.QUEUE_COMPACT_THRESHOLD,
+      lockPath: config.DEAD_LETTER_LOCK_PATH,
+      lockOptions: { staleMs: config.QUEUE_LOCK_STALE_MS, timeout: config.QUEUE_LOCK_TIMEOUT }
+    });
+  }
+
+  // reason: 'submission_failed' (permanent ApiService error) or 'errored' (ran out of attempts)
+  async add(profile, error, reason) {
+    const entry = {
+      steam_id: profile.steam_id,
+      username: profile.username,
+      reason,
+      error,
+      checks: { ...profile.checks },
+      profile,
+      timestamp: Date.now()
+    };
+
+    await this.store.withLock(() => this.store.put(entry));
+    logger.warn(`Dead-lettered ${profile.steam_id} (user: ${profile.username || 'unknown'}) - ${reason}: ${error}`);
+    return entry;
+  }
+
+  async get(steamId) {
+    this.store.refresh();
+    return this.store.get(steamId);
+  }
+
+  // Newest first
+  async list({ reason = null, username = null, page = 1, pageSize = 50 } = {}) {
+    this.store.refresh();
+    const entries = this.store.values()
+      .filter(entry => (!reason || entry.reason === reason) && (!username || entry.username === username))
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    const start = (page - 1) * pageSize;
+    return {
+      total: entries.length,
+      page,
+      pageSize,
+      entries: entries.slice(start, start + pageSize)
+    };
+  }
+
+  async remove(steamId) {
+    return this.store.withLock(async () => {
+      if (!this.store.has(steamId)) {
+        return false;
+      }
+
+      await this.store.delete(steamId);
+      return true;
+    });
+  }
+
+  // Remove every entry, or only those dead-lettered before a timestamp
+  async purge({ before = null } = {}) {
+    return this.store.withLock(async () => {
+      const keep = this.store.values().filter(entry => before && entry.timestamp >= before);
+      const purged = this.store.size - keep.length;
+
+      if (purged > 0) {
+        await this.store.replaceAll(keep);
+        logger.info(`Purged ${purged} dead-letter entries`);
+      }
+
+      return purged;
+    });
+  }
+
+  // Put the profile back on the queue with fresh retry attempts and drop the entry
+  async replay(steamId, queueManager) {
+    return this.store.withLock(async () => {
+      const entry = this.store.get(steamId);
+      if (!entry) {
+        return null;
+      }
+
+      const profile = await queueManager.restoreProfile(entry.profile);
+      await this.store.delete(steamId);
+      logger.info(`Replayed dead-lettered ${steamId} (user: ${entry.username || 'unknown'}) back into the queue`);
+      return profile;
+    });
+  }
+
+  async getStats() {
+    this.store.refresh();
+    const byReason = {};
+    for (const entry of this.store.values()) {
+      byReason[entry.reason] = (byReason[entry.reason] || 0) + 1;
+    }
+
+    return { total: this.store.size, byReason };
+  }
+}
+
+module.exports = DeadLetterStore;
@@ -3,20 +3,202 @@ const CONFIG = require('../config/config');
 const SteamValidator = require('./steam-validator');
 const ApiService = require('./api-service');
 const QueueManager = require('./queue-manager');
+const DeadLetterStore = require('./dead-letter-store');
+const VerdictStore = require('./verdict-store');
+const RejectionCache = require('./rejection-cache');
+const CheckRegistry = require('./check-registry');
+const RuleSetRegistry = require('./rule-set-registry');
 const ExpressApp = require('./app');
 const logger = require('./utils/logger');
 
 // Global state variables
-let isProcessing = false;
 let expressApp = null;
+let queueManagerRef = null;
 
-async function processQueuedProfiles(steamValidator, apiService, queueManager) {
-  if (isProcessing) {
-    logger.debug('Processing already in progress, skipping');
+// Record a failed attempt; once the profile runs out of attempts it is moved
+// from the queue to the dead-letter store
+async function handleProfileError(services, steamId, errorMessage) {
+  const profile = await services.queueManager.recordProfileError(steamId, errorMessage);
+  
+  if (profile && profile.state === "errored") {
+    await deadLetterErroredProfile(services, profile);
+  }
+}
+
+// Move an errored profile to the dead-letter store. It only leaves the queue
+// once it is stored there; if that fails it stays queued as errored and the
+// status loop tries again (see deadLetterErroredProfiles).
+async function deadLetterErroredProfile({ queueManager, deadLetterStore, verdictStore }, profile) {
+  try {
+    await deadLetterStore.add(profile, profile.last_error, 'errored');
+    await verdictStore.record(profile, { outcome: 'errored', reason: profile.last_error });
+    await queueManager.removeProfileFromQueue(profile.steam_id);
+    return true;
+  } catch (error) {
+    logger.error(`Failed to dead-letter errored profile ${profile.steam_id}, will retry: ${error.message}`);
+    return false;
+  }
+}
+
+// Retry dead-lettering profiles left in the queue as errored
+async function deadLetterErroredProfiles(services) {
+  const profiles = await services.queueManager.getErroredProfiles();
+  let moved = 0;
+  
+  for (const profile of profiles) {
+    if (await deadLetterErroredProfile(services, profile)) {
+      moved++;
+    }
+  }
+  
+  return moved;
+}
+
+// Record the final verdict for a profile and take it off the queue
+async function finalizeProfile({ queueManager, verdictStore, rejectionCache, ruleSets }, steamId, verdict) {
+  const profile = await queueManager.getProfileBySteamId(steamId);
+  
+  if (profile) {
+    // Compare with the shadow rule set, if any - recorded only, the active verdict stands
+    const shadow = verdict.outcome === 'errored' ? null : ruleSets.compareWithShadow(profile, verdict.outcome !== 'rejected');
+    
+    if (shadow && shadow.agrees === false) {
+      logger.info(`Shadow rule set '${shadow.rule_set}' would have ${shadow.outcome} ${steamId} (active: ${verdict.outcome})`);
+    }
+    
+    await verdictStore.record(profile, { ...verdict, shadow });
+  } else {
+    logger.warn(`Profile ${steamId} is no longer queued, '${verdict.outcome}' verdict not recorded`);
+  }
+  
+  if (verdict.outcome === 'rejected') {
+    await rejectionCache.add(steamId, verdict.decidedBy, verdict.reason, profile ? profile.rule_set : null);
+  }
+  
+  await queueManager.removeProfileFromQueue(steamId);
+}
+
+// Each worker claims one profile at a time and validates it over its own
+// proxy connection (see SteamValidator.forWorker)
+function createWorkers(steamValidator, count) {
+  return Array.from({ length: Math.max(1, count) }, (_, i) => {
+    const id = `worker-${i + 1}`;
+    return {
+      id,
+      isProcessing: false,
+      steamValidator: steamValidator.forWorker(id)
+    };
+  });
+}
+
+// Keep the claimed copy of a profile in step with what was written to the queue
+function applyCheckResult(profile, checkName, status, summary) {
+  profile.checks[checkName] = status;
+  profile.check_results = { ...(profile.check_results || {}), [checkName]: summary };
+}
+
+// Country the profile shows (from the batched player summary), and whether
+// the location check passed it only for review because it shows none
+function resolveLocation(profile) {
+  const summary = profile.player_summary || {};
+  const locationResult = (profile.check_results || {}).location;
+  
+  return {
+    country: summary.country || null,
+    needsReview: Boolean(locationResult && locationResult.details && locationResult.details.no_country === 'review')
+  };
+}
+
+// Send an accepted profile downstream and record how that went. decidedBy is
+// the check whose result settled the rule set (null if it was decided before any ran)
+async function submitProfile(services, profile, decidedBy) {
+  const { apiService, queueManager, deadLetterStore, ruleSets } = services;
+  const { steam_id: steamId, username } = profile;
+  
+  // Scored rule sets send the score along with the ID, and profiles that show a country send it too
+  const score = ruleSets.score(profile);
+  const location = resolveLocation(profile);
+  decidedBy = decidedBy || VerdictStore.DECIDED_BY_RULE_SET;
+  const apiResult = await apiService.handleNewSteamId(steamId, username, score, location);
+  
+  if (apiResult.success) {
+    logger.info(`API submission successful for ${steamId} (user: ${username})`);
+    // Remove from queue on success
+    const alreadyExisted = (apiResult.error || '').includes('Link already exists');
+    await finalizeProfile(services, steamId, {
+      outcome: alreadyExisted ? 'duplicate' : 'accepted',
+      decidedBy,
+      reason: alreadyExisted ? apiResult.error : null,
+      score
+    });
     return;
   }
   
-  isProcessing = true;
+  // Check if error is retryable or permanent
+  const errorMessage = apiResult.error || '';
+  const isRetryableError = 
+    errorMessage.includes('Internal server error') ||           // 500 errors
+    errorMessage.includes('No response from server') ||        // Network timeouts
+    errorMessage.includes('Request setup error') ||            // Connection issues
+    errorMessage.includes('Service temporarily unavailable') || // 503 errors
+    (apiResult.status >= 500 && apiResult.status < 600);       // Any 5xx error
+  
+  if (isRetryableError) {
+    logger.warn(`API submission failed with retryable error for ${steamId} (user: ${username}): ${apiResult.error}`);
+    logger.info(`Profile ${steamId} (user: ${username}) will remain in queue for retry`);
+    // Don't remove - back off and let other profiles go first
+    await handleProfileError(services, steamId, `API submission: ${apiResult.error}`);
+  } else if (errorMessage.includes('Link already exists')) {
+    logger.info(`Steam ID ${steamId} (user: ${username}) already exists on PythonAnywhere - removing from queue`);
+    await finalizeProfile(services, steamId, { outcome: 'duplicate', decidedBy, reason: errorMessage });
+  } else {
+    logger.error(`API submission failed with permanent error for ${steamId} (user: ${username}): ${apiResult.error}`);
+    logger.info(`Removing ${steamId} (user: ${username}) from queue (non-retryable error)`);
+    const queuedProfile = await queueManager.getProfileBySteamId(steamId);
+    await deadLetterStore.add(queuedProfile || profile, apiResult.error || 'Unknown error', 'submission_failed');
+    // Remove from queue for permanent errors
+    await finalizeProfile(services, steamId, { outcome: 'submission_failed', decidedBy, reason: errorMessage });
+  }
+}
+
+// decidedBy is the check whose result settled the rule set (null if it was decided before any ran)
+async function rejectProfile(services, profile, decidedBy) {
+  const ruleSet = services.ruleSets.forProfile(profile);
+  const score = services.ruleSets.score(profile);
+  const check = decidedBy || Object.keys(profile.checks).find(name => profile.checks[name] === "failed") || null;
+  
+  const checkResult = check && (profile.check_results || {})[check];
+  
+  let reason;
+  if (checkResult && checkResult.details && checkResult.details.outcome === 'not_found') {
+    reason = `Steam ID not found (check '${check}')`;
+  } else if (score && score.max_possible < score.threshold) {
+    reason = `Score ${score.max_possible} is below the threshold of ${score.threshold}`;
+  } else if (check && profile.checks[check] === "failed" && !ruleSet.scorer) {
+    reason = `Check '${check}' failed`;
+  } else {
+    reason = `Not accepted by rule set '${ruleSet.name}': ${ruleSet.accept.source}`;
+  }
+  
+  await finalizeProfile(services, profile.steam_id, {
+    outcome: 'rejected',
+    decidedBy: check || VerdictStore.DECIDED_BY_RULE_SET,
+    reason,
+    score
+  });
+}
+
+async function processQueuedProfiles(services, worker) {
+  const { queueManager, checkRegistry, ruleSets } = services;
+  const steamValidator = worker.steamValidator;
+  
+  if (worker.isProcessing) {
+    logger.debug(`${worker.id}: processing already in progress, skipping`);
+    return;
+  }
+  
+  worker.isProcessing = true;
+  let claimedSteamId = null;
   
   try {
     // Check if all connections are in cooldown for rate-limited checks
@@ -30,17 +212,20 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
       }
     }
     
-    // Find next processable profile from queue
-    const profile = await queueManager.getNextProcessableProfile(allConnectionsInCooldown);
+    // Fetch player summaries and bans for newly queued profiles in batched calls
+    await steamValidator.processBatchedLookups(queueManager);
+    
+    // Claim the next processable profile so no other worker picks it up
+    const profile = await queueManager.claimNextProcessableProfile(worker.id, allConnectionsInCooldown);
     
     if (!profile) {
-      isProcessing = false;
       return;
     }
     
     const steamId = profile.steam_id;
     const username = profile.username;
-    logger.info(`Processing queued profile: ${steamId} (user: ${username})`);
+    claimedSteamId = steamId;
+    logger.info(`${worker.id}: processing queued profile: ${steamId} (user: ${username})`);
     
     // Run checks that are marked "to_check"
     const checksToRun = Object.entries(profile.checks)
@@ -49,77 +234,43 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
     
     logger.debug(`Profile ${steamId}: Found ${checksToRun.length} checks to run: ${checksToRun.join(', ')}`);
     
-    if (checksToRun.length === 0) {
-      // No "to_check" checks remaining - see if all are passed
-      logger.debug(`Profile ${steamId}: No 'to_check' checks remaining, checking completion status`);
-      const completionStatus = await queueManager.getAllChecksComplete(steamId);
-      
-      if (completionStatus.allComplete) {
-        if (completionStatus.allPassed) {
-          logger.info(`All checks passed for ${steamId} (user: ${username}), sending to API`);
-          
-          const apiResult = await apiService.handleNewSteamId(steamId, username);
-          
-          if (apiResult.success) {
-            logger.info(`API submission successful for ${steamId} (user: ${username})`);
-            // Remove from queue on success
-            await queueManager.removeProfileFromQueue(steamId);
-          } else {
-            // Check if error is retryable or permanent
-            const errorMessage = apiResult.error || '';
-            const isRetryableError = 
-              errorMessage.includes('Internal server error') ||           // 500 errors
-              errorMessage.includes('No response from server') ||        // Network timeouts
-              errorMessage.includes('Request setup error') ||            // Connection issues
-              errorMessage.includes('Service temporarily unavailable') || // 503 errors
-              (apiResult.status >= 500 && apiResult.status < 600);       // Any 5xx error
-            
-            if (isRetryableError) {
-              logger.warn(`API submission failed with retryable error for ${steamId} (user: ${username}): ${apiResult.error}`);
-              logger.info(`Profile ${steamId} (user: ${username}) will remain in queue for retry`);
-              // Don't remove - will be retried in next processing cycle
-            } else {
-              // Permanent error or success case
-              if (errorMessage.includes('Link already exists')) {
-                logger.info(`Steam ID ${steamId} (user: ${username}) already exists on PythonAnywhere - removing from queue`);
-              } else {
-                logger.error(`API submission failed with permanent error for ${steamId} (user: ${username}): ${apiResult.error}`);
-                logger.info(`Removing ${steamId} (user: ${username}) from queue (non-retryable error)`);
-              }
-              // Remove from queue for permanent errors
-              await queueManager.removeProfileFromQueue(steamId);
-            }
-          }
-        } else {
-          // Some checks failed validation - remove from queue
-          logger.info(`Some checks failed for ${steamId} (user: ${username}), removing from queue`);
-          await queueManager.removeProfileFromQueue(steamId);
-        }
-        
-        // Remove from queue regardless of API result
-        await queueManager.removeProfileFromQueue(steamId);
-      } else {
+    // The rule set may already be decided, e.g. by deferred checks that completed in the background
+    let decision = ruleSets.evaluate(profile);
+    let decidedBy = null;
+    
+    if (decision === null && checksToRun.length === 0) {
+      if (Object.values(profile.checks).includes("deferred")) {
         // Has deferred checks, will be processed later when connections are available
         logger.info(`Profile ${steamId} (user: ${username}) has deferred checks, will be processed when connections are available`);
+        return;
       }
       
-      isProcessing = false;
-      return;
+      // Every check completed but the expression still reads a missing detail - can't accept it
+      logger.warn(`Rule set for ${steamId} (user: ${username}) is undecided after all checks, rejecting`);
+      decision = false;
     }
     
-    // Flag to track if we've detected a private profile
-    let isPrivateProfile = false;
+    // Known from the player summary when the summaries stage covered this
+    // profile; otherwise a check can still detect it below (GetSteamLevel does)
+    let isPrivateProfile = profile.is_private === true;
     
-    // Run each check in order
-    for (let i = 0; i < checksToRun.length; i++) {
+    // Run each check in order, stopping as soon as the rule set is decided
+    for (let i = 0; i < checksToRun.length && decision === null; i++) {
       const checkName = checksToRun[i];
       
-      // Skip further checks if we've already identified this as a private profile
-      // and the current check is either friends or csgo_inventory
-      const isRateLimitedCheck = checkName === 'friends' || checkName === 'csgo_inventory';
-      if (isPrivateProfile && isRateLimitedCheck) {
+      // Skip checks that can't see anything on a private profile once we know it is one
+      const isRateLimitedCheck = checkRegistry.needsProxy(checkName);
+      if (isPrivateProfile && checkRegistry.autoPassesOnPrivateProfile(checkName)) {
         logger.info(`Auto-passing check '${checkName}' for ${steamId} (user: ${username}) (private profile)`);
-        await queueManager.updateProfileCheck(steamId, checkName, "passed");
+        const summary = steamValidator.summarizeCheckResult({
+          success: true,
+          passed: true,
+          details: { note: "Auto-passed - private profile" }
+        }, Date.now());
+        await queueManager.updateProfileCheck(steamId, checkName, "passed", summary);
+        applyCheckResult(profile, checkName, "passed", summary);
+        decision = ruleSets.evaluate(profile);
+        decidedBy = checkName;
         continue;
       }
       
@@ -131,47 +282,19 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
       }
       
       try {
-        let checkResult;
+        const checkStartedAt = Date.now();
+        // Batched lookups are stored on the profile itself
+        const checkResult = await checkRegistry.run(steamValidator, checkName, steamId, ruleSets.checkOptions(profile, checkName), {
+          lookups: profile
+        });
         
-        // Run the appropriate check
-        switch (checkName) {
-          case 'animated_avatar':
-            checkResult = await steamValidator.checkAnimatedAvatar(steamId);
-            break;
-          case 'avatar_frame':
-            checkResult = await steamValidator.checkAvatarFrame(steamId);
-            break;
-          case 'mini_profile_background':
-            checkResult = await steamValidator.checkMiniProfileBackground(steamId);
-            break;
-          case 'profile_background':
-            checkResult = await steamValidator.checkProfileBackground(steamId);
-            break;
-          case 'steam_level':
-            checkResult = await steamValidator.checkSteamLevel(steamId);
-            
-            // After steam level check, determine if this is a private profile
-            if (checkResult.success && 
-                checkResult.details && 
-                checkResult.details.note && 
-                checkResult.details.note.includes("Empty response from API")) {
-              isPrivateProfile = true;
-              logger.info(`Private profile detected for ${steamId} (user: ${username}) - will auto-pass remaining private checks`);
-            }
-            break;
-          case 'friends':
-            checkResult = await steamValidator.checkFriends(steamId);
-            break;
-          case 'csgo_inventory':
-            checkResult = await steamValidator.checkCsgoInventory(steamId);
-            break;
-          default:
-            logger.error(`Unknown check type: ${checkName}`);
-            checkResult = {
-              success: false,
-              passed: false,
-              error: `Unknown check type: ${checkName}`
-            };
+        // Checks look a lookup up themselves if the stage hadn't fetched it yet
+        Object.assign(profile, checkResult.lookups);
+        
+        // Any check can tell us the profile is private (GetSteamLevel does)
+        if (checkResult.success && checkResult.isPrivateProfile && !isPrivateProfile) {
+          isPrivateProfile = true;
+          logger.info(`Private profile detected for ${steamId} (user: ${username}) - will auto-pass remaining private checks`);
         }
         
         // Handle check result
@@ -185,30 +308,44 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
             continue; // Continue to next check, don't exit the loop
           }
           
-          // Regular API error - don't mark check as failed, retry later
+          // Regular API error - don't mark check as failed, retry after a backoff
           logger.warn(`Check '${checkName}' for ${steamId} (user: ${username}) failed with API error: ${checkResult.error}`);
-          logger.info(`Will retry ${steamId} (user: ${username}) in next processing cycle`);
+          await handleProfileError(services, steamId, `Check '${checkName}': ${checkResult.error}`);
           break; // Exit the check loop for this profile, will retry later
-        } else if (!checkResult.passed) {
-          // Check failed validation - remove from queue
-          logger.info(`Check '${checkName}' for ${steamId} (user: ${username}) failed validation, removing from queue`);
-          await queueManager.removeProfileFromQueue(steamId);
-          break; // Exit the check loop for this profile
-        } else {
-          // Check passed - update status
-          logger.info(`Check '${checkName}' for ${steamId} (user: ${username}) passed`);
-          await queueManager.updateProfileCheck(steamId, checkName, "passed");
         }
+        
+        // Record the outcome and see whether the rule set is decided now
+        const status = checkResult.passed ? "passed" : "failed";
+        const summary = steamValidator.summarizeCheckResult(checkResult, checkStartedAt);
+        logger.info(`Check '${checkName}' for ${steamId} (user: ${username}) ${status}`);
+        await queueManager.updateProfileCheck(steamId, checkName, status, summary);
+        applyCheckResult(profile, checkName, status, summary);
+        // No such account - nothing any rule set could accept
+        decision = checkResult.notFound ? false : ruleSets.evaluate(profile);
+        decidedBy = checkName;
       } catch (checkError) {
         logger.error(`Error running check '${checkName}' for ${steamId} (user: ${username}): ${checkError.message}`);
-        logger.info(`Will retry ${steamId} (user: ${username}) in next processing cycle`);
+        await handleProfileError(services, steamId, `Check '${checkName}': ${checkError.message}`);
         break; // Exit the check loop for this profile, will retry later
       }
     }
+    
+    if (decision === true) {
+      logger.info(`Rule set '${ruleSets.forProfile(profile).name}' accepts ${steamId} (user: ${username}), sending to API`);
+      await submitProfile(services, profile, decidedBy);
+    } else if (decision === false) {
+      logger.info(`Rule set '${ruleSets.forProfile(profile).name}' rejects ${steamId} (user: ${username}), removing from queue`);
+      await rejectProfile(services, profile, decidedBy);
+    }
   } catch (error) {
-    logger.error(`Queue processing error: ${error.message}`);
+    logger.error(`${worker.id}: queue processing error: ${error.message}`);
   } finally {
-    isProcessing = false;
+    if (claimedSteamId) {
+      await queueManager.releaseProfile(claimedSteamId, worker.id).catch(error => {
+        logger.error(`${worker.id}: failed to release claim on ${claimedSteamId}: ${error.message}`);
+      });
+    }
+    worker.isProcessing = false;
   }
 }
 
@@ -235,13 +372,26 @@ async function main() {
     process.exit(1);
   }
   
+  if (!CONFIG.ADMIN_API_KEY) {
+    logger.warn('ADMIN_API_KEY not set - admin queue endpoints are disabled');
+  } else if (CONFIG.ADMIN_API_KEY === CONFIG.LINK_HARVESTER_API_KEY) {
+    logger.error('❌ ADMIN_API_KEY must be different from LINK_HARVESTER_API_KEY');
+    process.exit(1);
+  }
+  
   // Initialize components
-  const steamValidator = new SteamValidator(CONFIG);
+  const checkRegistry = new CheckRegistry(CONFIG);
+  const ruleSets = new RuleSetRegistry(CONFIG, checkRegistry);
+  const steamValidator = new SteamValidator(CONFIG, checkRegistry);
   const apiService = new ApiService(CONFIG);
-  const queueManager = new QueueManager(CONFIG);
+  const queueManager = new QueueManager(CONFIG, checkRegistry, ruleSets);
+  const deadLetterStore = new DeadLetterStore(CONFIG);
+  const verdictStore = new VerdictStore(CONFIG);
+  const rejectionCache = new RejectionCache(CONFIG);
+  queueManagerRef = queueManager;
   
   // Initialize Express app
-  expressApp = new ExpressApp(queueManager, steamValidator, apiService);
+  expressApp = new ExpressApp(queueManager, steamValidator, apiService, CONFIG, { deadLetterStore, verdictStore, rejectionCache });
   
   logger.info('Service initialized and ready for processing');
 
@@ -258,6 +408,19 @@ async function main() {
     logger.info(`🌐 HTTP API available at http://localhost:${CONFIG.PORT}`);
     logger.info(`📋 Endpoints:`);
     logger.info(`   POST /api/add-steam-id - Add Steam ID to queue`);
+    logger.info(`   POST /api/add-steam-ids - Add a batch of Steam IDs to queue`);
+    logger.info(`   GET /api/rule-sets - Available rule sets`);
+    logger.info(`   POST /api/evaluate - Dry-run the checks for one Steam ID`);
+    logger.info(`   GET /api/queue - List queued profiles`);
+    logger.info(`   GET /api/queue/:steamId - Queued profile details`);
+    logger.info(`   GET /api/queue/stats - Queue statistics`);
+    logger.info(`   DELETE /api/queue/:steamId - Evict profile (admin)`);
+    logger.info(`   POST /api/queue/:steamId/reset - Reset checks (admin)`);
+    logger.info(`   POST /api/queue/:steamId/promote - Move to head of queue (admin)`);
+    logger.info(`   GET /api/dead-letters - List dead-lettered profiles (admin)`);
+    logger.info(`   GET /api/verdicts - Verdict history`);
+    logger.info(`   GET /api/shadow/summary - Shadow rule set disagreements`);
+    logger.info(`   DELETE /api/rejections - Clear cached rejections (admin)`);
     logger.info(`   GET /api/health - Health check`);
   } catch (error) {
     logger.error(`Failed to start HTTP server: ${error.message}`);
@@ -266,16 +429,19 @@ async function main() {
   
   // Start the processing loops
   
-  // 1. Process queued profiles (main processing loop)
-  const processQueue = async () => {
+  // 1. Process queued profiles (one loop per worker)
+  const services = { apiService, queueManager, deadLetterStore, verdictStore, rejectionCache, checkRegistry, ruleSets };
+  const workers = createWorkers(steamValidator, CONFIG.WORKER_COUNT);
+  
+  const processQueue = async (worker) => {
     try {
-      await processQueuedProfiles(steamValidator, apiService, queueManager);
+      await processQueuedProfiles(services, worker);
     } catch (error) {
-      logger.error(`Queue processing error: ${error.message}`);
+      logger.error(`${worker.id}: queue processing error: ${error.message}`);
     }
     
     // Schedule next run with variable delay
-    setTimeout(processQueue, isProcessing ? 1000 : CONFIG.PROCESSING_DELAY);
+    setTimeout(() => processQueue(worker), worker.isProcessing ? 1000 : CONFIG.PROCESSING_DELAY);
   };
 
   // 2. Periodically check and log proxy status
@@ -306,6 +472,17 @@ async function main() {
       logger.info(`🔌 Connection status: ${status.availableConnections}/${status.totalConnections} available - ${connectionDetails}`);
       logger.info(`📋 Queue status: ${queueStats.totalProfiles} profiles total`);
       
+      if (queueStats.erroredProfiles > 0 || queueStats.backingOffProfiles > 0) {
+        logger.info(`    Retrying: ${queueStats.backingOffProfiles} backing off, ${queueStats.erroredProfiles} errored awaiting dead-letter`);
+      }
+      
+      if (queueStats.erroredProfiles > 0) {
+        const moved = await deadLetterErroredProfiles(services);
+        if (moved > 0) {
+          logger.info(`📋 Dead-lettered ${moved} errored profiles`);
+        }
+      }
+      
       if (queueStats.totalProfiles > 0) {
         const userSummary = Object.entries(queueStats.byUsername)
           .map(([user, count]) => `${user}:${count}`)
@@ -372,10 +549,30 @@ async function main() {
     setTimeout(testProxyConnection, 15 * 60 * 1000);
   };
   
+  // 4. Periodically drop expired rejections and verdicts past their retention
+  const pruneStores = async () => {
+    try {
+      await rejectionCache.pruneExpired();
+    } catch (error) {
+      logger.error(`Rejection cache pruning error: ${error.message}`);
+    }
+    
+    try {
+      await verdictStore.prune();
+    } catch (error) {
+      logger.error(`Verdict pruning error: ${error.message}`);
+    }
+    
+    // Schedule next pruning (every hour)
+    setTimeout(pruneStores, 60 * 60 * 1000);
+  };
+  
   // Start all processes
-  processQueue();
+  logger.info(`Starting ${workers.length} queue worker(s)`);
+  workers.forEach(worker => processQueue(worker));
   checkProxyStatus();
   testProxyConnection();
+  pruneStores();
   
   logger.info('All processing loops started');
   logger.info(`Waiting for Steam IDs to be submitted via HTTP API on port ${CONFIG.PORT}...`);
@@ -390,6 +587,18 @@ async function gracefulShutdown(signal) {
     await expressApp.stop();
   }
   
+  // Let other instances pick up the profiles our workers were holding
+  if (queueManagerRef) {
+    try {
+      const released = await queueManagerRef.releaseAllClaims();
+      if (released > 0) {
+        logger.info(`Released ${released} claimed profiles`);
+      }
+    } catch (error) {
+      logger.error(`Failed to release claimed profiles: ${error.message}`);
+    }
+  }
+  
   // Allow some time for cleanup
   setTimeout(() => {
     logger.info('Shutdown complete');
@@ -0,0 +1,99 @@
+// src/inventory-classifier.js
+
+// Properties an inventory item can be ignored by. type and rarity are the
+// internal names of the item's Type and Rarity tags (e.g. CSGO_Type_Collectible,
+// Rarity_Common); items without a Type tag use their type text instead.
+const MATCHER_FIELDS = ['marketable', 'tradable', 'type', 'rarity'];
+
+// Sorts inventory items into classes and decides which ones count against a
+// profile. An inventory check's "ignore" threshold lists matchers; an item
+// matching every field of any matcher doesn't count:
+//
+//   "csgo_inventory": {
+//     "max_items": 0,
+//     "ignore": [{ "marketable": false, "tradable": false }, { "type": "CSGO_Type_WeaponCase" }]
+//   }
+class InventoryClassifier {
+  // Group assets by class using the descriptions the inventory endpoint returns.
+  // Returns [{ marketable, tradable, type, rarity, count }], largest first.
+  static classify(assets, descriptions) {
+    const descriptionsByKey = new Map();
+    for (const description of descriptions) {
+      descriptionsByKey.set(`${description.classid}_${description.instanceid}`, description);
+    }
+
+    const classes = new Map();
+    for (const asset of assets) {
+      const itemClass = InventoryClassifier.describe(descriptionsByKey.get(`${asset.classid}_${asset.instanceid}`));
+      const key = MATCHER_FIELDS.map(field => itemClass[field]).join('|');
+
+      if (!classes.has(key)) {
+        classes.set(key, { ...itemClass, count: 0 });
+      }
+      classes.get(key).count++;
+    }
+
+    return Array.from(classes.values()).sort((a, b) => b.count - a.count);
+  }
+
+  static describe(description) {
+    if (!description) {
+      return { marketable: null, tradable: null, type: null, rarity: null };
+    }
+
+    const tags = description.tags || [];
+    const tag = category => {
+      const found = tags.find(candidate => candidate.category === category);
+      return found ? found.internal_name : null;
+    };
+
+    return {
+      marketable: Boolean(description.marketable),
+      tradable: Boolean(description.tradable),
+      type: tag('Type') || description.type || null,
+      rarity: tag('Rarity')
+    };
+  }
+
+  // Throws for an "ignore" list that isn't a list of matchers over MATCHER_FIELDS
+  static validateIgnore(ignore) {
+    if (!Array.isArray(ignore)) {
+      throw new Error('"ignore" must be a list of item class matchers');
+    }
+
+    for (const matcher of ignore) {
+      const fields = matcher && typeof matcher === 'object' ? Object.keys(matcher) : [];
+      const unknownFields = fields.filter(field => !MATCHER_FIELDS.includes(field));
+
+      if (fields.length === 0 || unknownFields.length > 0) {
+        throw new Error(`Invalid item class matcher ${JSON.stringify(matcher)} - use ${MATCHER_FIELDS.join(', ')}`);
+      }
+    }
+  }
+
+  static isIgnored(itemClass, ignore) {
+    return ignore.some(matcher =>
+      Object.keys(matcher).length > 0 &&
+      Object.entries(matcher).every(([field, value]) => MATCHER_FIELDS.includes(field) && itemClass[field] === value)
+    );
+  }
+
+  // Items that count against the profile. Items that weren't classified (results
+  // recorded before classification, or pages past the page limit) always count.
+  static countedItems(details, ignore = []) {
+    const itemCount = details.item_count ?? 0;
+
+    if (!Array.isArray(details.classes)) {
+      return itemCount;
+    }
+
+    const classified = details.classes.reduce((sum, itemClass) => sum + itemClass.count, 0);
+    const counted = details.classes
+      .filter(itemClass => !InventoryClassifier.isIgnored(itemClass, ignore))
+      .reduce((sum, itemClass) => sum + itemClass.count, 0);
+
+    return counted + Math.max(0, itemCount - classified);
+  }
+}
+
+module.exports = InventoryClassifier;
@@ -0,0 +1,317 @@
+// src/journal-store.js
+const fs = require('fs-extra');
+const logger = require('./utils/logger');
+const Mutex = require('./utils/mutex');
+const FileLock = require('./utils/file-lock');
+
+const LOAD_ATTEMPTS = 5;
+
+// Durable keyed record store: an append-only journal of operations on top of
+// a periodically compacted snapshot. Every write appends a single JSON line and
+// fsyncs it, so a crash can at worst lose the half-written last line - never
+// the records that were already committed.
+//
+// Commits are serialized within the process. Stores shared between processes
+// need an outer lock, with refresh() called under it so changes made by the
+// other processes are picked up first (see QueueManager.withQueueLock). Stores
+// given a lockPath provide that lock themselves through withLock().
+class JournalStore {
+  constructor({ name, snapshotPath, journalPath, keyField, compactThreshold = 500, lockPath = null, lockOptions = {} }) {
+    this.name = name;
+    this.snapshotPath = snapshotPath;
+    this.journalPath = journalPath;
+    this.keyField = keyField;
+    this.compactThreshold = compactThreshold;
+
+    this.records = new Map();
+    this.seq = 0;
+    this.journalEntries = 0;
+    this.validJournalLength = 0;
+    this.diskState = null;
+    this.commitMutex = new Mutex();
+    this.lockMutex = new Mutex();
+    this.fileLock = lockPath ? new FileLock(lockPath, lockOptions) : null;
+
+    this.load();
+  }
+
+  // Run a read-modify-write exclusively against a fresh view of the store:
+  // within the process, and against other processes when there is a lockPath
+  async withLock(operation) {
+    return this.lockMutex.runExclusive(() => {
+      if (!this.fileLock) {
+        return operation();
+      }
+
+      return this.fileLock.withLock(async () => {
+        this.refresh();
+        return operation();
+      });
+    });
+  }
+
+  // Returns true if neither the snapshot nor the journal exist yet
+  isEmptyOnDisk() {
+    return !fs.existsSync(this.snapshotPath) && !fs.existsSync(this.journalPath);
+  }
+
+  // Identity of the files on disk, used to notice writes by other processes
+  readDiskState(journalSize) {
+    const snapshotStat = fs.existsSync(this.snapshotPath) ? fs.statSync(this.snapshotPath) : null;
+    return {
+      snapshot: snapshotStat ? `${snapshotStat.ino}:${snapshotStat.mtimeMs}` : null,
+      journalSize
+    };
+  }
+
+  currentJournalSize() {
+    return fs.existsSync(this.journalPath) ? fs.statSync(this.journalPath).size : 0;
+  }
+
+  // Reload from disk if another process has written since we last looked
+  refresh() {
+    const current = this.readDiskState(this.currentJournalSize());
+    if (!this.diskState ||
+        current.snapshot !== this.diskState.snapshot ||
+        current.journalSize !== this.diskState.journalSize) {
+      logger.debug(`${this.name}: files changed on disk, reloading`);
+      this.load();
+      return true;
+    }
+    return false;
+  }
+
+  // Another process can compact between our reads of the snapshot and the
+  // journal, leaving us an old snapshot next to a journal that no longer has
+  // the entries it lacks. The snapshot changing under us or a gap in the
+  // sequence numbers gives that away; reading again gets a consistent pair.
+  load() {
+    for (let attempt = 1; attempt <= LOAD_ATTEMPTS; attempt++) {
+      if (this.readFromDisk()) {
+        return;
+      }
+      logger.debug(`${this.name}: files were compacted while loading, reading again`);
+    }
+
+    logger.warn(`${this.name}: files kept changing while loading, using the last read`);
+  }
+
+  // Returns false if the snapshot and journal read don't fit together
+  readFromDisk() {
+    this.records = new Map();
+    this.seq = 0;
+    this.journalEntries = 0;
+    this.validJournalLength = 0;
+    let journalSize = 0;
+    let consistent = true;
+    const snapshotState = this.readDiskState(0).snapshot;
+
+    // 1. Load the last compacted snapshot
+    if (fs.existsSync(this.snapshotPath)) {
+      try {
+        const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+        for (const record of snapshot.records || []) {
+          this.records.set(record[this.keyField], record);
+        }
+        this.seq = snapshot.seq || 0;
+      } catch (error) {
+        // Snapshots are only ever replaced via rename, so this means outside tampering
+        logger.error(`${this.name}: snapshot ${this.snapshotPath} is unreadable: ${error.message}`);
+        throw error;
+      }
+    }
+
+    // 2. Replay journal entries written after the snapshot
+    if (fs.existsSync(this.journalPath)) {
+      const content = fs.readFileSync(this.journalPath, 'utf8');
+      journalSize = Buffer.byteLength(content);
+      let offset = 0;
+      let validLength = 0;
+
+      while (offset < content.length) {
+        const newline = content.indexOf('\n', offset);
+        if (newline === -1) break; // Unterminated tail
+
+        const line = content.slice(offset, newline);
+        offset = newline + 1;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          break;
+        }
+
+        validLength = offset;
+        this.journalEntries++;
+
+        // Entries already folded into the snapshot (crash between rename and truncate)
+        if (entry.seq <= this.seq) continue;
+
+        if (entry.seq !== this.seq + 1) {
+          consistent = false;
+        }
+
+        this.applyOps(entry.ops);
+        this.seq = entry.seq;
+      }
+
+      // Anything past this point is a torn write (or another process mid-append).
+      // It is cut off by the next commit, which runs under the writer lock.
+      this.validJournalLength = Buffer.byteLength(content.slice(0, validLength));
+    }
+
+    this.diskState = { snapshot: snapshotState, journalSize };
+
+    logger.debug(`${this.name}: loaded ${this.records.size} records (seq ${this.seq})`);
+    return consistent && this.readDiskState(0).snapshot === snapshotState;
+  }
+
+  applyOps(ops) {
+    for (const op of ops) {
+      switch (op.op) {
+        case 'put':
+          // Map.set keeps the original position for existing keys
+          this.records.set(op.value[this.keyField], op.value);
+          break;
+        case 'delete':
+          this.records.delete(op.key);
+          break;
+        case 'front': {
+          // Move an existing record to the head of the iteration order
+          const record = this.records.get(op.key);
+          if (record) {
+            this.records.delete(op.key);
+            this.records = new Map([[op.key, record], ...this.records]);
+          }
+          break;
+        }
+        case 'reset':
+          this.records = new Map(op.values.map(value => [value[this.keyField], value]));
+          break;
+        default:
+          logger.warn(`${this.name}: ignoring unknown journal operation '${op.op}'`);
+      }
+    }
+  }
+
+  get(key) {
+    return this.records.get(key) || null;
+  }
+
+  has(key) {
+    return this.records.has(key);
+  }
+
+  values() {
+    return Array.from(this.records.values());
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  // Atomically apply and persist a list of operations
+  async commit(ops) {
+    if (ops.length === 0) {
+      return;
+    }
+
+    return this.commitMutex.runExclusive(() => this.appendEntry(ops));
+  }
+
+  async appendEntry(ops) {
+    // A torn write from a crash was never acknowledged - cut it off so this
+    // entry starts on a clean line
+    const journalSize = this.currentJournalSize();
+    if (journalSize > this.validJournalLength) {
+      await fs.truncate(this.journalPath, this.validJournalLength);
+      logger.warn(`${this.name}: discarded ${journalSize - this.validJournalLength} bytes of incomplete journal data`);
+    }
+
+    const line = JSON.stringify({ seq: this.seq + 1, ts: Date.now(), ops }) + '\n';
+    const fd = await fs.open(this.journalPath, 'a');
+    try {
+      await fs.write(fd, line);
+      await fs.fsync(fd);
+    } finally {
+      await fs.close(fd);
+    }
+
+    // Only mutate in-memory state once the entry is durable
+    this.applyOps(ops);
+    this.seq++;
+    this.journalEntries++;
+    this.validJournalLength += Buffer.byteLength(line);
+    this.diskState = this.readDiskState(this.validJournalLength);
+
+    if (this.journalEntries >= this.compactThreshold) {
+      await this.compact();
+    }
+  }
+
+  async put(value) {
+    return this.commit([{ op: 'put', value }]);
+  }
+
+  async putMany(values) {
+    return this.commit(values.map(value => ({ op: 'put', value })));
+  }
+
+  async delete(key) {
+    return this.commit([{ op: 'delete', key }]);
+  }
+
+  async deleteMany(keys) {
+    return this.commit(keys.map(key => ({ op: 'delete', key })));
+  }
+
+  async moveToFront(key) {
+    return this.commit([{ op: 'front', key }]);
+  }
+
+  async replaceAll(values) {
+    return this.commit([{ op: 'reset', values }]);
+  }
+
+  // Seed an empty store with an initial snapshot (used by one-time importers).
+  // Synchronous so the data is in place before the service starts taking requests.
+  initializeSync(values) {
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify({ seq: 0, records: values }));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, this.snapshotPath);
+
+    this.load();
+  }
+
+  // Fold the journal into a fresh snapshot
+  async compact() {
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    const snapshot = { seq: this.seq, records: this.values() };
+
+    const fd = await fs.open(tmpPath, 'w');
+    try {
+      await fs.write(fd, JSON.stringify(snapshot));
+      await fs.fsync(fd);
+    } finally {
+      await fs.close(fd);
+    }
+
+    // rename is atomic - readers see either the old or the new snapshot
+    await fs.rename(tmpPath, this.snapshotPath);
+    await fs.truncate(this.journalPath, 0).catch(() => {});
+    this.journalEntries = 0;
+    this.validJournalLength = 0;
+    this.diskState = this.readDiskState(0);
+
+    logger.debug(`${this.name}: compacted ${this.records.size} records into snapshot (seq ${this.seq})`);
+  }
+}
+
+module.exports = JournalStore;
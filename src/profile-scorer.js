@@ -0,0 +1,126 @@
+// src/profile-scorer.js
+
+// Weighted "fresh account" score (0-100) for rule sets in scoring mode.
+// Each signal is a check metric (see CheckRegistry) with a weight:
+//
+//   { "level": { "weight": 30, "max": 20 }, "has_avatar_frame": { "weight": 5 } }
+//
+// Numeric signals (with "max") earn their full weight at 0 and nothing at or
+// above max, linearly in between. Signals without "max" are presence flags:
+// full weight when absent, nothing when present. The score is built from the
+// details the checks return, not from whether each check passed.
+class ProfileScorer {
+  // resolveVariable(name) returns { check, read(result) } or null for unknown names
+  constructor({ weights, threshold }, resolveVariable) {
+    this.threshold = threshold;
+    this.signals = [];
+
+    for (const [name, definition] of Object.entries(weights)) {
+      const signal = typeof definition === 'number' ? { weight: definition } : definition;
+      const variable = resolveVariable(name);
+
+      if (!variable) {
+        throw new Error(`Unknown scoring signal '${name}'`);
+      }
+
+      if (!(signal.weight > 0) || (signal.max !== undefined && !(signal.max > 0))) {
+        throw new Error(`Scoring signal '${name}' needs a positive weight (and max, if set)`);
+      }
+
+      this.signals.push({ name, check: variable.check, read: variable.read, weight: signal.weight, max: signal.max });
+    }
+
+    this.totalWeight = this.signals.reduce((sum, signal) => sum + signal.weight, 0);
+
+    if (this.totalWeight === 0) {
+      throw new Error('Scoring needs at least one signal');
+    }
+
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 100) {
+      throw new Error('Score threshold must be a number between 0 and 100');
+    }
+  }
+
+  // Drop signals for checks a rule set doesn't run
+  restrictTo(checkNames) {
+    this.signals = this.signals.filter(signal => checkNames.includes(signal.check));
+    this.totalWeight = this.signals.reduce((sum, signal) => sum + signal.weight, 0);
+
+    if (this.totalWeight === 0) {
+      throw new Error('None of the scoring signals belong to checks this rule set runs');
+    }
+  }
+
+  signalFreshness(signal, value) {
+    if (signal.max === undefined) {
+      return value ? 0 : 1;
+    }
+
+    const numeric = Math.max(0, Number(value) || 0);
+    return 1 - Math.min(numeric, signal.max) / signal.max;
+  }
+
+  // results: checkName -> { passed, details } for the checks that have completed.
+  // Signals whose check hasn't completed are left out of score and listed as pending.
+  score(results) {
+    const breakdown = {};
+    const pending = [];
+    let score = 0;
+
+    for (const signal of this.signals) {
+      const result = results[signal.check];
+      const maxPoints = 100 * signal.weight / this.totalWeight;
+
+      if (!result) {
+        pending.push(signal.name);
+        breakdown[signal.name] = { value: null, weight: signal.weight, points: null, max_points: round(maxPoints) };
+        continue;
+      }
+
+      const value = signal.read(result) ?? null;
+      const points = maxPoints * this.signalFreshness(signal, value);
+      score += points;
+      breakdown[signal.name] = { value, weight: signal.weight, points: round(points), max_points: round(maxPoints) };
+    }
+
+    const stillAvailable = pending.reduce((sum, name) => sum + breakdown[name].max_points, 0);
+
+    return {
+      score: round(score),
+      max_possible: round(score + stillAvailable),
+      threshold: this.threshold,
+      breakdown,
+      pending
+    };
+  }
+
+  // true once the score can no longer drop below the threshold, false once it
+  // can no longer reach it, null while pending signals could still swing it
+  evaluate(results) {
+    const { score, max_possible: maxPossible } = this.score(results);
+
+    if (score >= this.threshold) {
+      return true;
+    }
+
+    if (maxPossible < this.threshold) {
+      return false;
+    }
+
+    return null;
+  }
+
+  toJSON() {
+    const weights = {};
+    for (const signal of this.signals) {
+      weights[signal.name] = signal.max === undefined ? { weight: signal.weight } : { weight: signal.weight, max: signal.max };
+    }
+    return { threshold: this.threshold, weights };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = ProfileScorer;
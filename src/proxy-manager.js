@@ -19,6 +19,9 @@ class ProxyManager {
     
     this.config = null;
     this.DEFAULT_COOLDOWN_DURATION = 21900000;
+    
+    // workerId -> connection object currently held by that worker
+    this.leases = new Map();
     this.initializeConfig();
   }
 
@@ -255,8 +258,61 @@ class ProxyManager {
     };
   }
 
+  // Give a worker its own connection: keep the one it already holds while it is
+  // usable, otherwise prefer an available connection no other worker holds.
+  // Returns null if every connection is in cooldown.
+  acquireConnection(workerId) {
+    this.checkAndResetCooldowns();
+    
+    const held = this.leases.get(workerId);
+    if (held && !held.in_cooldown && this.config.connections.includes(held)) {
+      return held;
+    }
+    
+    const available = this.config.connections.filter(conn => !conn.in_cooldown);
+    if (available.length === 0) {
+      this.leases.delete(workerId);
+      return null;
+    }
+    
+    // Least-shared available connection; with more workers than connections some must share
+    const leaseCounts = new Map();
+    for (const [otherWorker, conn] of this.leases) {
+      if (otherWorker !== workerId) {
+        leaseCounts.set(conn, (leaseCounts.get(conn) || 0) + 1);
+      }
+    }
+    
+    const connection = available.reduce((best, conn) =>
+      (leaseCounts.get(conn) || 0) < (leaseCounts.get(best) || 0) ? conn : best
+    );
+    
+    this.leases.set(workerId, connection);
+    
+    const connDesc = connection.type === 'direct' ? 'direct connection' : 'SOCKS5 proxy';
+    logger.info(`${workerId} now holds ${connDesc} (index: ${this.config.connections.indexOf(connection)})`);
+    
+    return connection;
+  }
+
+  releaseConnection(workerId) {
+    this.leases.delete(workerId);
+  }
+
+  // Which pool connection served a request, safe to show in API responses
+  describeConnection(connection) {
+    return {
+      pool_index: this.config.connections.indexOf(connection),
+      type: connection.type,
+      url: connection.url ? connection.url.replace(/:([^:@]+)@/, ':***@') : null
+    };
+  }
+
   markCurrentAsCooldown(errorType, endpoint, errorMessage) {
-    const current = this.config.connections[this.config.current_index];
+    return this.markConnectionAsCooldown(this.config.connections[this.config.current_index], errorType, endpoint, errorMessage);
+  }
+
+  markConnectionAsCooldown(current, errorType, endpoint, errorMessage) {
     
     // Determine cooldown duration based on error type and endpoint
     let cooldownDuration;
@@ -382,7 +438,8 @@ class ProxyManager {
     return status;
   }
 
-  createAxiosInstance(endpoint) {
+  // connection: a specific connection to use (e.g. a worker's lease) instead of the current one
+  createAxiosInstance(endpoint, connection = null) {
     // Only use proxy for friends and inventory endpoints
     const needsProxy = endpoint.includes('GetFriendList') || 
                       endpoint.includes('inventory');
@@ -399,7 +456,7 @@ class ProxyManager {
     }
     
     // Get current connection for rate-limited endpoints
-    const connection = this.getCurrentConnection();
+    connection = connection || this.getCurrentConnection();
     
     // If direct connection, return normal axios instance
     if (connection.type === 'direct') {
@@ -462,7 +519,7 @@ class ProxyManager {
         logger.error(`Error creating SOCKS5 proxy configuration: ${error.message}`);
         
         // Mark this proxy as in cooldown due to configuration error
-        this.markCurrentAsCooldown('socks_error', 'configuration', error.message);
+        this.markConnectionAsCooldown(connection, 'socks_error', 'configuration', error.message);
         
         // Return a standard axios instance as fallback
         logger.info(`Falling back to direct connection due to SOCKS5 configuration error`);
@@ -1,24 +1,87 @@
 // src/queue-manager.js
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 const logger = require('./utils/logger');
+const JournalStore = require('./journal-store');
+const Mutex = require('./utils/mutex');
+const FileLock = require('./utils/file-lock');
+const CheckRegistry = require('./check-registry');
+const RuleSetRegistry = require('./rule-set-registry');
 
 class QueueManager {
-  constructor(config) {
+  constructor(config, checkRegistry = new CheckRegistry(config), ruleSets = new RuleSetRegistry(config, checkRegistry)) {
     this.config = config;
-    // Queue file is now in project root
-    this.queuePath = path.join(__dirname, '../profiles_queue.json');
+    this.checkRegistry = checkRegistry;
+    this.ruleSets = ruleSets;
+    // Legacy whole-file queue, only read by the one-time importer
+    this.queuePath = config.QUEUE_PATH || path.join(__dirname, '../profiles_queue.json');
     
-    // Ensure queue file exists
-    this.ensureQueueFileExists();
+    this.store = new JournalStore({
+      name: 'Queue store',
+      snapshotPath: config.QUEUE_SNAPSHOT_PATH,
+      journalPath: config.QUEUE_JOURNAL_PATH,
+      keyField: 'steam_id',
+      compactThreshold: config.QUEUE_COMPACT_THRESHOLD
+    });
+    
+    // Every queue mutation runs under both locks: the mutex serializes the HTTP
+    // ingest path against the processing loop, the lock file guards against
+    // other processes (a second instance, a CLI) sharing the same store
+    this.mutex = new Mutex();
+    this.fileLock = new FileLock(config.QUEUE_LOCK_PATH, {
+      staleMs: config.QUEUE_LOCK_STALE_MS,
+      timeout: config.QUEUE_LOCK_TIMEOUT
+    });
+    
+    // Owner prefix for processing claims, unique per running instance
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    
+    if (this.store.isEmptyOnDisk()) {
+      this.importLegacyQueue();
+    }
+  }
+
+  // Run a read-modify-write of the queue exclusively, against a fresh view of the store
+  async withQueueLock(operation) {
+    return this.mutex.runExclusive(() => this.fileLock.withLock(async () => {
+      this.store.refresh();
+      return operation();
+    }));
   }
 
-  ensureQueueFileExists() {
-    // Create queue file if it doesn't exist
+  // One-time migration of profiles_queue.json into the journal store
+  importLegacyQueue() {
     if (!fs.existsSync(this.queuePath)) {
-      fs.writeFileSync(this.queuePath, '[]', 'utf8');
-      logger.info(`Created empty queue file at: ${this.queuePath}`);
+      return;
+    }
+    
+    let profiles;
+    try {
+      profiles = JSON.parse(fs.readFileSync(this.queuePath, 'utf8'));
+    } catch (error) {
+      logger.error(`Could not import legacy queue file ${this.queuePath}: ${error.message}`);
+      return;
     }
+    
+    if (!Array.isArray(profiles)) {
+      logger.error(`Legacy queue file ${this.queuePath} does not contain an array, skipping import`);
+      return;
+    }
+    
+    // Drop duplicates and malformed entries the old read-modify-write could leave behind
+    const seen = new Set();
+    const valid = profiles.filter(p => {
+      if (!p || !p.steam_id || !p.checks || seen.has(p.steam_id)) {
+        return false;
+      }
+      seen.add(p.steam_id);
+      return true;
+    });
+    
+    this.store.initializeSync(valid);
+    
+    logger.info(`Imported ${valid.length} profiles from legacy queue file ${this.queuePath} (skipped ${profiles.length - valid.length})`);
   }
 
   async withFileOperation(operation, { maxRetries = 3 } = {}) {
@@ -41,43 +104,41 @@ class QueueManager {
     }
   }
 
+  // Returns copies so callers can't mutate the store's state behind its back
   async getQueuedProfiles() {
-    return this.withFileOperation(async () => {
-      try {
-        const data = await fs.readFile(this.queuePath, 'utf8');
-        return JSON.parse(data);
-      } catch (error) {
-        logger.error(`Error reading queue file: ${error.message}`);
-        return [];
-      }
-    });
+    this.store.refresh();
+    return this.store.values().map(profile => this.cloneProfile(profile));
   }
 
   async saveQueuedProfiles(profiles) {
     return this.withFileOperation(async () => {
       try {
-        await fs.writeFile(this.queuePath, JSON.stringify(profiles, null, 2));
+        await this.withQueueLock(() => this.store.replaceAll(profiles));
         return true;
       } catch (error) {
-        logger.error(`Error saving queue file: ${error.message}`);
+        logger.error(`Error saving queue: ${error.message}`);
         return false;
       }
     });
   }
 
-  async addProfileToQueue(steamId, username, apiService = null) {
+  cloneProfile(profile) {
+    return JSON.parse(JSON.stringify(profile));
+  }
+
+  // ruleSet: name of the rule set to validate the profile with (default rule set if omitted)
+  async addProfileToQueue(steamId, username, apiService = null, ruleSet = null) {
     return this.withFileOperation(async () => {
       try {
-        const profiles = JSON.parse(await fs.readFile(this.queuePath, 'utf8'));
-        
         // Check if already in queue
-        const existing = profiles.find(p => p.steam_id === steamId);
+        const existing = await this.getProfileBySteamId(steamId);
         if (existing) {
           logger.info(`Profile ${steamId} (user: ${username}) already in queue`);
           return existing;
         }
         
-        // Check if ID already exists in database (if apiService provided)
+        // Check if ID already exists in database (if apiService provided).
+        // Done before taking the queue lock so the network round-trip doesn't block other writers.
         if (apiService) {
           const existsCheckResult = await apiService.checkSteamIdExists(steamId);
           
@@ -97,28 +158,20 @@ class QueueManager {
           return null;
         }
         
-        // Create new profile object with username
-        const profile = {
-          steam_id: steamId,
-          username: username,
-          timestamp: Date.now(),
-          checks: {
-            animated_avatar: "to_check",
-            avatar_frame: "to_check",
-            mini_profile_background: "to_check",
-            profile_background: "to_check",
-            steam_level: "to_check",
-            friends: "to_check",
-            csgo_inventory: "to_check"
-          }
-        };
+        const profile = this.createProfile(steamId, username, ruleSet);
         
-        // Add to queue
-        profiles.push(profile);
-        await fs.writeFile(this.queuePath, JSON.stringify(profiles, null, 2));
-        logger.info(`Added profile ${steamId} (user: ${username}) to queue`);
-        
-        return profile;
+        // Add to queue, unless someone else queued it while we were checking the database
+        return await this.withQueueLock(async () => {
+          const queued = this.store.get(steamId);
+          if (queued) {
+            logger.info(`Profile ${steamId} (user: ${username}) already in queue`);
+            return this.cloneProfile(queued);
+          }
+          
+          await this.store.put(profile);
+          logger.info(`Added profile ${steamId} (user: ${username}) to queue`);
+          return profile;
+        });
       } catch (error) {
         logger.error(`Error adding profile to queue: ${error.message}`);
         throw error;
@@ -126,18 +179,93 @@ class QueueManager {
     });
   }
 
-  async updateProfileCheck(steamId, checkName, status) {
+  // Add many profiles with a single dedup pass and a single queue write.
+  // items: [{ steam_id, username, rule_set }] already validated by the caller.
+  // Returns one { steam_id, username, status } per item, status being
+  // 'queued', 'already_in_queue' or 'exists_in_db'.
+  async addProfilesToQueue(items, apiService = null) {
     return this.withFileOperation(async () => {
       try {
-        const profiles = JSON.parse(await fs.readFile(this.queuePath, 'utf8'));
+        const results = items.map(item => ({ steam_id: item.steam_id, username: item.username, rule_set: item.rule_set || null, status: null }));
         
-        // Find the profile
-        const profileIndex = profiles.findIndex(p => p.steam_id === steamId);
-        if (profileIndex === -1) {
-          logger.warn(`Profile ${steamId} not found in queue`);
-          return false;
+        // Dedup within the batch and against the queue
+        this.store.refresh();
+        const candidates = new Map();
+        for (const result of results) {
+          if (candidates.has(result.steam_id) || this.store.has(result.steam_id)) {
+            result.status = 'already_in_queue';
+          } else {
+            candidates.set(result.steam_id, result);
+          }
         }
         
+        // Database existence checks run outside the queue lock, a few at a time
+        if (apiService && candidates.size > 0) {
+          const pending = Array.from(candidates.values());
+          const concurrency = this.config.BULK_EXISTS_CONCURRENCY || 5;
+          
+          const worker = async () => {
+            while (pending.length > 0) {
+              const result = pending.shift();
+              const existsCheckResult = await apiService.checkSteamIdExists(result.steam_id);
+              
+              if (existsCheckResult.success && existsCheckResult.exists) {
+                result.status = 'exists_in_db';
+                candidates.delete(result.steam_id);
+              } else if (!existsCheckResult.success) {
+                logger.warn(`Failed to check if ID ${result.steam_id} (user: ${result.username}) exists: ${existsCheckResult.error}. Adding to queue anyway.`);
+              }
+            }
+          };
+          
+          await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+        }
+        
+        // Single queue write for everything that is left
+        await this.withQueueLock(async () => {
+          const newProfiles = [];
+          
+          for (const result of candidates.values()) {
+            if (this.store.has(result.steam_id)) {
+              result.status = 'already_in_queue';
+            } else {
+              newProfiles.push(this.createProfile(result.steam_id, result.username, result.rule_set));
+              result.status = 'queued';
+            }
+          }
+          
+          await this.store.putMany(newProfiles);
+        });
+        
+        const queuedCount = results.filter(r => r.status === 'queued').length;
+        logger.info(`Bulk add: queued ${queuedCount} of ${results.length} submitted profiles`);
+        
+        return results;
+      } catch (error) {
+        logger.error(`Error adding profiles to queue: ${error.message}`);
+        throw error;
+      }
+    });
+  }
+
+  // Only the checks the rule set selects are queued
+  createProfile(steamId, username, ruleSetName = null) {
+    const ruleSet = (ruleSetName && this.ruleSets.get(ruleSetName)) || this.ruleSets.getDefault();
+    
+    return {
+      steam_id: steamId,
+      username: username,
+      rule_set: ruleSet.name,
+      timestamp: Date.now(),
+      checks: this.checkRegistry.createChecks(Object.keys(ruleSet.checks))
+    };
+  }
+
+  // result (optional) is the check outcome to keep with the profile:
+  // { passed, details, checked_at, duration_ms }
+  async updateProfileCheck(steamId, checkName, status, result = null) {
+    return this.withFileOperation(async () => {
+      try {
         // Validate status
         const validStatuses = ["to_check", "passed", "failed", "deferred"];
         if (!validStatuses.includes(status)) {
@@ -145,13 +273,26 @@ class QueueManager {
           return false;
         }
         
-        // Update the check status
-        profiles[profileIndex].checks[checkName] = status;
-        await fs.writeFile(this.queuePath, JSON.stringify(profiles, null, 2));
-        
-        const username = profiles[profileIndex].username || 'unknown';
-        logger.debug(`Updated ${steamId} (user: ${username}) check '${checkName}' to '${status}'`);
-        return true;
+        return await this.withQueueLock(async () => {
+          // Find the profile
+          const stored = this.store.get(steamId);
+          if (!stored) {
+            logger.warn(`Profile ${steamId} not found in queue`);
+            return false;
+          }
+          
+          // Update the check status
+          const profile = this.cloneProfile(stored);
+          profile.checks[checkName] = status;
+          if (result) {
+            profile.check_results = { ...profile.check_results, [checkName]: result };
+          }
+          await this.store.put(profile);
+          
+          const username = profile.username || 'unknown';
+          logger.debug(`Updated ${steamId} (user: ${username}) check '${checkName}' to '${status}'`);
+          return true;
+        });
       } catch (error) {
         logger.error(`Error updating profile check: ${error.message}`);
         return false;
@@ -162,23 +303,20 @@ class QueueManager {
   async removeProfileFromQueue(steamId) {
     return this.withFileOperation(async () => {
       try {
-        const profiles = JSON.parse(await fs.readFile(this.queuePath, 'utf8'));
-        
-        // Find the profile to get username for logging
-        const profileToRemove = profiles.find(p => p.steam_id === steamId);
-        const username = profileToRemove?.username || 'unknown';
-        
-        // Find and remove the profile
-        const filteredProfiles = profiles.filter(p => p.steam_id !== steamId);
-        
-        if (filteredProfiles.length < profiles.length) {
-          await fs.writeFile(this.queuePath, JSON.stringify(filteredProfiles, null, 2));
-          logger.info(`Removed profile ${steamId} (user: ${username}) from queue`);
-          return true;
-        } else {
-          logger.warn(`Profile ${steamId} not found in queue to remove`);
-          return false;
-        }
+        return await this.withQueueLock(async () => {
+          // Find the profile to get username for logging
+          const profileToRemove = this.store.get(steamId);
+          const username = profileToRemove?.username || 'unknown';
+          
+          if (profileToRemove) {
+            await this.store.delete(steamId);
+            logger.info(`Removed profile ${steamId} (user: ${username}) from queue`);
+            return true;
+          } else {
+            logger.warn(`Profile ${steamId} not found in queue to remove`);
+            return false;
+          }
+        });
       } catch (error) {
         logger.error(`Error removing profile from queue: ${error.message}`);
         return false;
@@ -186,6 +324,87 @@ class QueueManager {
     });
   }
 
+  // Set all (or the named) checks of a profile back to "to_check".
+  // Returns the updated profile, or null if it isn't queued.
+  async resetProfileChecks(steamId, checkNames = null) {
+    return this.withQueueLock(async () => {
+      const stored = this.store.get(steamId);
+      if (!stored) {
+        logger.warn(`Profile ${steamId} not found in queue to reset`);
+        return null;
+      }
+      
+      const profile = this.cloneProfile(stored);
+      const unknownChecks = (checkNames || []).filter(name => !(name in profile.checks));
+      if (unknownChecks.length > 0) {
+        throw new Error(`Unknown checks: ${unknownChecks.join(', ')}`);
+      }
+      
+      for (const checkName of checkNames || Object.keys(profile.checks)) {
+        profile.checks[checkName] = "to_check";
+      }
+      
+      // Fetch the batched lookups again too, in case the account changed
+      delete profile.player_summary;
+      delete profile.player_bans;
+      delete profile.is_private;
+      
+      // A manual reset also gives the profile a fresh set of retry attempts
+      profile.attempts = 0;
+      profile.last_error = null;
+      profile.next_attempt_at = null;
+      delete profile.state;
+      
+      await this.store.put(profile);
+      logger.info(`Reset checks ${(checkNames || ['all']).join(', ')} for ${steamId} (user: ${profile.username || 'unknown'})`);
+      return profile;
+    });
+  }
+
+  // Put a previously removed profile back at the end of the queue, keeping the
+  // check results it already has but with a fresh set of retry attempts
+  async restoreProfile(profile) {
+    return this.withQueueLock(async () => {
+      const queued = this.store.get(profile.steam_id);
+      if (queued) {
+        logger.info(`Profile ${profile.steam_id} (user: ${queued.username || 'unknown'}) already in queue`);
+        return this.cloneProfile(queued);
+      }
+      
+      const restored = this.cloneProfile(profile);
+      for (const [checkName, status] of Object.entries(restored.checks)) {
+        if (status === "deferred") {
+          restored.checks[checkName] = "to_check";
+        }
+      }
+      restored.attempts = 0;
+      restored.last_error = null;
+      restored.next_attempt_at = null;
+      delete restored.state;
+      delete restored.claimed_by;
+      delete restored.claim_expires_at;
+      
+      await this.store.put(restored);
+      logger.info(`Restored profile ${restored.steam_id} (user: ${restored.username || 'unknown'}) to queue`);
+      return restored;
+    });
+  }
+
+  // Move a profile to the head of the queue so it is processed next
+  async promoteProfile(steamId) {
+    return this.withQueueLock(async () => {
+      const stored = this.store.get(steamId);
+      if (!stored) {
+        logger.warn(`Profile ${steamId} not found in queue to promote`);
+        return null;
+      }
+      
+      await this.store.moveToFront(steamId);
+      logger.info(`Promoted ${steamId} (user: ${stored.username || 'unknown'}) to the head of the queue`);
+      return this.cloneProfile(stored);
+    });
+  }
+
   async processNextQueued() {
     const profiles = await this.getQueuedProfiles();
     
@@ -196,56 +415,191 @@ class QueueManager {
     return profiles[0];
   }
 
-  // Get next profile that has checks that can be processed
+  // Get next profile that has checks that can be processed.
+  // Profiles waiting out a retry backoff or in the terminal "errored" state are
+  // skipped, so one failing profile can't block the ones behind it.
   async getNextProcessableProfile(allConnectionsInCooldown = false) {
     const profiles = await this.getQueuedProfiles();
+    const now = Date.now();
+    const nonRateLimitedChecks = this.checkRegistry.directCheckNames();
     
-    if (profiles.length === 0) {
-      return null;
-    }
-    
-    // Always check the first profile first
-    const firstProfile = profiles[0];
-    const firstProfileHasToCheck = Object.values(firstProfile.checks).some(status => status === "to_check");
-    const firstProfileHasDeferred = Object.values(firstProfile.checks).some(status => status === "deferred");
-    
-    // If first profile has no "to_check" checks, determine if it's complete or waiting
-    if (!firstProfileHasToCheck) {
-      if (!firstProfileHasDeferred) {
-        // Actually complete (all passed/failed) - return it for final processing
-        return firstProfile;
-      } else {
-        // Has deferred checks - only return if connections are available
-        if (!allConnectionsInCooldown) {
-          return firstProfile; // Connections available, can process deferred checks
+    for (const profile of profiles) {
+      if (!this.isEligibleForAttempt(profile, now)) {
+        continue;
+      }
+      
+      const hasToCheck = Object.values(profile.checks).some(status => status === "to_check");
+      const hasDeferred = Object.values(profile.checks).some(status => status === "deferred");
+      
+      // If profile has no "to_check" checks, determine if it's complete or waiting
+      if (!hasToCheck) {
+        if (!hasDeferred) {
+          // Actually complete (all passed/failed) - return it for final processing
+          return profile;
         }
-        // Otherwise, skip to next profile since this one is waiting for connections
+        
+        // Only deferred checks left - nothing a worker can run until the status
+        // loop turns them back into "to_check", so don't claim it just to release it
+        continue;
       }
-    } else {
+      
       // Has "to_check" checks - process normally based on connection availability
       if (!allConnectionsInCooldown) {
-        return firstProfile; // Connections available, can process any checks
+        return profile;
+      }
+      
+      // All connections in cooldown - only useful if it has non-rate-limited checks left
+      const hasNonRateLimitedToCheck = nonRateLimitedChecks.some(checkName => 
+        profile.checks[checkName] === "to_check"
+      );
+      
+      if (hasNonRateLimitedToCheck) {
+        return profile;
       }
-      // Continue to check if it has non-rate-limited checks below
     }
     
-    // If all connections are in cooldown, find profile with non-rate-limited "to_check" checks
-    if (allConnectionsInCooldown) {
-      for (const profile of profiles) {
-        const nonRateLimitedChecks = ['animated_avatar', 'avatar_frame', 'mini_profile_background', 'profile_background', 'steam_level'];
-        
-        const hasNonRateLimitedToCheck = nonRateLimitedChecks.some(checkName => 
-          profile.checks[checkName] === "to_check"
-        );
-        
-        if (hasNonRateLimitedToCheck) {
-          return profile;
+    // If no suitable profiles found, return null to indicate queue processing should wait
+    return null;
+  }
+
+  // Queued profiles the batched lookups stage hasn't fetched a field for yet, oldest first
+  async getProfilesMissing(field, limit) {
+    const profiles = await this.getQueuedProfiles();
+    return profiles
+      .filter(profile => profile[field] === undefined && profile.state !== "errored")
+      .slice(0, limit);
+  }
+
+  // Profiles that ran out of attempts but haven't been dead-lettered yet
+  async getErroredProfiles() {
+    const profiles = await this.getQueuedProfiles();
+    return profiles.filter(profile => profile.state === "errored");
+  }
+
+  // Store batched lookup results with the queued profiles: steamId -> fields to
+  // set. Profiles removed meanwhile are skipped. Returns how many were updated.
+  async updateProfileFields(updates) {
+    return this.withQueueLock(async () => {
+      const updated = [];
+      
+      for (const [steamId, fields] of Object.entries(updates)) {
+        const stored = this.store.get(steamId);
+        if (!stored) {
+          continue;
         }
+        
+        updated.push({ ...this.cloneProfile(stored), ...fields });
       }
+      
+      await this.store.putMany(updated);
+      return updated.length;
+    });
+  }
+
+  isEligibleForAttempt(profile, now = Date.now()) {
+    if (profile.state === "errored") {
+      return false;
     }
     
-    // If no suitable profiles found, return null to indicate queue processing should wait
-    return null;
+    // Claimed by a worker (here or in another instance) that is still within its lease
+    if (profile.claimed_by && profile.claim_expires_at > now) {
+      return false;
+    }
+    
+    return !profile.next_attempt_at || profile.next_attempt_at <= now;
+  }
+
+  claimOwner(workerId) {
+    return `${this.instanceId}:${workerId}`;
+  }
+
+  // Atomically pick the next processable profile and claim it for a worker, so
+  // two workers never process the same profile. Claims are leases: if the
+  // owner dies, the profile becomes available again after CLAIM_TTL.
+  async claimNextProcessableProfile(workerId, allConnectionsInCooldown = false) {
+    return this.withQueueLock(async () => {
+      const profile = await this.getNextProcessableProfile(allConnectionsInCooldown);
+      if (!profile) {
+        return null;
+      }
+      
+      profile.claimed_by = this.claimOwner(workerId);
+      profile.claim_expires_at = Date.now() + (this.config.CLAIM_TTL || 10 * 60 * 1000);
+      await this.store.put(profile);
+      
+      logger.debug(`Profile ${profile.steam_id} claimed by ${profile.claimed_by}`);
+      return profile;
+    });
+  }
+
+  // Give up a worker's claim on a profile (no-op if it was removed or claimed by someone else)
+  async releaseProfile(steamId, workerId) {
+    return this.withQueueLock(async () => {
+      const stored = this.store.get(steamId);
+      if (!stored || stored.claimed_by !== this.claimOwner(workerId)) {
+        return false;
+      }
+      
+      const profile = this.cloneProfile(stored);
+      delete profile.claimed_by;
+      delete profile.claim_expires_at;
+      await this.store.put(profile);
+      return true;
+    });
+  }
+
+  // Release every claim held by this instance (used on shutdown)
+  async releaseAllClaims() {
+    return this.withQueueLock(async () => {
+      const ownerPrefix = `${this.instanceId}:`;
+      const released = this.store.values()
+        .filter(profile => profile.claimed_by && profile.claimed_by.startsWith(ownerPrefix))
+        .map(profile => {
+          const copy = this.cloneProfile(profile);
+          delete copy.claimed_by;
+          delete copy.claim_expires_at;
+          return copy;
+        });
+      
+      await this.store.putMany(released);
+      return released.length;
+    });
+  }
+
+  // Record a failed processing attempt and schedule the next one with exponential backoff.
+  // After MAX_PROFILE_ATTEMPTS the profile moves to the terminal "errored" state.
+  // Returns the updated profile, or null if it isn't queued.
+  async recordProfileError(steamId, errorMessage) {
+    return this.withQueueLock(async () => {
+      const stored = this.store.get(steamId);
+      if (!stored) {
+        logger.warn(`Profile ${steamId} not found in queue to record error`);
+        return null;
+      }
+      
+      const profile = this.cloneProfile(stored);
+      const username = profile.username || 'unknown';
+      const maxAttempts = this.config.MAX_PROFILE_ATTEMPTS || 5;
+      
+      profile.attempts = (profile.attempts || 0) + 1;
+      profile.last_error = errorMessage;
+      
+      if (profile.attempts >= maxAttempts) {
+        profile.state = "errored";
+        profile.next_attempt_at = null;
+        logger.error(`Profile ${steamId} (user: ${username}) marked as errored after ${profile.attempts} attempts: ${errorMessage}`);
+      } else {
+        const baseDelay = this.config.RETRY_BASE_DELAY || 30000;
+        const maxDelay = this.config.RETRY_MAX_DELAY || 30 * 60 * 1000;
+        const backoff = Math.min(baseDelay * Math.pow(2, profile.attempts - 1), maxDelay);
+        
+        profile.next_attempt_at = Date.now() + backoff;
+        logger.info(`Profile ${steamId} (user: ${username}) attempt ${profile.attempts}/${maxAttempts} failed, next attempt in ${Math.ceil(backoff / 1000)}s`);
+      }
+      
+      await this.store.put(profile);
+      return profile;
+    });
   }
 
   async getAllChecksPassed(steamId) {
@@ -266,39 +620,44 @@ class QueueManager {
   async convertDeferredChecksToToCheck() {
     return this.withFileOperation(async () => {
       try {
-        const profiles = JSON.parse(await fs.readFile(this.queuePath, 'utf8'));
-        let conversionsCount = 0;
-        let profilesAffected = 0;
-        
-        for (const profile of profiles) {
-          let profileChanged = false;
+        return await this.withQueueLock(async () => {
+          const profiles = await this.getQueuedProfiles();
+          const changedProfiles = [];
+          let conversionsCount = 0;
+          let profilesAffected = 0;
           
-          for (const [checkName, status] of Object.entries(profile.checks)) {
-            if (status === "deferred") {
-              profile.checks[checkName] = "to_check";
-              conversionsCount++;
-              profileChanged = true;
+          for (const profile of profiles) {
+            let profileChanged = false;
+            
+            for (const [checkName, status] of Object.entries(profile.checks)) {
+              if (status === "deferred") {
+                profile.checks[checkName] = "to_check";
+                conversionsCount++;
+                profileChanged = true;
+              }
+            }
+            
+            if (profileChanged) {
+              profilesAffected++;
+              changedProfiles.push(profile);
+              const username = profile.username || 'unknown';
+              logger.debug(`Converted deferred checks for ${profile.steam_id} (user: ${username})`);
             }
           }
           
-          if (profileChanged) {
-            profilesAffected++;
-            const username = profile.username || 'unknown';
-            logger.debug(`Converted deferred checks for ${profile.steam_id} (user: ${username})`);
+          if (conversionsCount > 0) {
+            // One journal entry, so either every conversion lands or none do
+            await this.store.putMany(changedProfiles);
+            logger.info(`Converted ${conversionsCount} deferred checks to 'to_check' across ${profilesAffected} profiles`);
+          } else {
+            logger.debug('No deferred checks found to convert');
           }
-        }
-        
-        if (conversionsCount > 0) {
-          await fs.writeFile(this.queuePath, JSON.stringify(profiles, null, 2));
-          logger.info(`Converted ${conversionsCount} deferred checks to 'to_check' across ${profilesAffected} profiles`);
-        } else {
-          logger.debug('No deferred checks found to convert');
-        }
-        
-        return {
-          conversions: conversionsCount,
-          profilesAffected: profilesAffected
-        };
+          
+          return {
+            conversions: conversionsCount,
+            profilesAffected: profilesAffected
+          };
+        });
       } catch (error) {
         logger.error(`Error converting deferred checks: ${error.message}`);
         return {
@@ -337,29 +696,6 @@ class QueueManager {
     };
   }
 
-  // Check if all checks are complete (passed or failed, not deferred)
-  async getAllChecksComplete(steamId) {
-    const profiles = await this.getQueuedProfiles();
-    const profile = profiles.find(p => p.steam_id === steamId);
-    
-    if (!profile) {
-      logger.warn(`Profile ${steamId} not found in queue when checking completion status`);
-      return { allComplete: false, allPassed: false };
-    }
-    
-    // Check if all checks are either passed or failed (no to_check or deferred)
-    const allComplete = Object.values(profile.checks).every(status => 
-      status === "passed" || status === "failed"
-    );
-    
-    const allPassed = Object.values(profile.checks).every(status => status === "passed");
-    
-    return {
-      allComplete,
-      allPassed
-    };
-  }
-
   // Get queue statistics including usernames
   async getQueueStats() {
     const profiles = await this.getQueuedProfiles();
@@ -372,8 +708,11 @@ class QueueManager {
         passed: 0,
         failed: 0,
         deferred: 0
-      }
+      },
+      erroredProfiles: 0,
+      backingOffProfiles: 0
     };
+    const now = Date.now();
     
     for (const profile of profiles) {
       const username = profile.username || 'unknown';
@@ -384,6 +723,12 @@ class QueueManager {
       }
       stats.byUsername[username]++;
       
+      if (profile.state === "errored") {
+        stats.erroredProfiles++;
+      } else if (profile.next_attempt_at && profile.next_attempt_at > now) {
+        stats.backingOffProfiles++;
+      }
+      
       // Count check statuses
       for (const status of Object.values(profile.checks)) {
         if (stats.byStatus[status] !== undefined) {
@@ -395,10 +740,46 @@ class QueueManager {
     return stats;
   }
 
+  // Paginated, filtered view of the queue in processing order.
+  // checkStatus matches profiles with at least one check in that status,
+  // or - when checkName is given - profiles whose named check has that status.
+  async listProfiles({ username = null, checkStatus = null, checkName = null, page = 1, pageSize = 50 } = {}) {
+    const profiles = await this.getQueuedProfiles();
+    
+    const filtered = profiles.filter(profile => {
+      if (username && profile.username !== username) {
+        return false;
+      }
+      
+      if (checkName && !(checkName in profile.checks)) {
+        return false;
+      }
+      
+      if (checkStatus) {
+        const statuses = checkName ? [profile.checks[checkName]] : Object.values(profile.checks);
+        if (!statuses.includes(checkStatus)) {
+          return false;
+        }
+      }
+      
+      return true;
+    });
+    
+    const start = (page - 1) * pageSize;
+    
+    return {
+      total: filtered.length,
+      page,
+      pageSize,
+      profiles: filtered.slice(start, start + pageSize)
+    };
+  }
+
   // Get profile by Steam ID (useful for debugging)
   async getProfileBySteamId(steamId) {
-    const profiles = await this.getQueuedProfiles();
-    return profiles.find(p => p.steam_id === steamId) || null;
+    this.store.refresh();
+    const profile = this.store.get(steamId);
+    return profile ? this.cloneProfile(profile) : null;
   }
 
   // Utility method for delay
@@ -0,0 +1,120 @@
+// src/rejection-cache.js
+const logger = require('./utils/logger');
+const JournalStore = require('./journal-store');
+
+// rejected_by of rejections no single check explains: an accept expression or
+// score that failed, or a rule set still undecided after all checks
+const REJECTED_BY_RULE_SET = 'rule_set';
+
+// Negative cache of recently rejected Steam IDs, so resubmissions don't go
+// through the Steam checks (and the scarce proxied calls) again within the TTL.
+class RejectionCache {
+  constructor(config) {
+    this.config = config;
+    this.ttl = config.REJECTION_CACHE_TTL;
+    this.store = new JournalStore({
+      name: 'Rejection cache',
+      snapshotPath: config.REJECTION_CACHE_SNAPSHOT_PATH,
+      journalPath: config.REJECTION_CACHE_JOURNAL_PATH,
+      keyField: 'steam_id',
+      compactThreshold: config.QUEUE_COMPACT_THRESHOLD,
+      lockPath: config.REJECTION_CACHE_LOCK_PATH,
+      lockOptions: { staleMs: config.QUEUE_LOCK_STALE_MS, timeout: config.QUEUE_LOCK_TIMEOUT }
+    });
+  }
+
+  isEnabled() {
+    return this.ttl > 0;
+  }
+
+  // rejectedBy: the check that failed, or null if the rule set as a whole rejected it.
+  // ruleSet: the rule set the ID was rejected under - other rule sets may still accept it
+  async add(steamId, rejectedBy, reason = null, ruleSet = null) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const now = Date.now();
+    const entry = {
+      steam_id: steamId,
+      rejected_by: rejectedBy || REJECTED_BY_RULE_SET,
+      rule_set: ruleSet,
+      reason,
+      rejected_at: now,
+      expires_at: now + this.ttl
+    };
+
+    try {
+      await this.store.withLock(() => this.store.put(entry));
+    } catch (error) {
+      logger.error(`Error caching rejection for ${steamId}: ${error.message}`);
+    }
+    return entry;
+  }
+
+  // Returns the entry if the ID was rejected within the TTL, otherwise null.
+  // With ruleSet, only rejections under that rule set count (entries from
+  // before rule sets existed were made under defaultRuleSet).
+  get(steamId, ruleSet = null, defaultRuleSet = null) {
+    this.store.refresh();
+    const entry = this.store.get(steamId);
+    if (!entry || entry.expires_at <= Date.now()) {
+      return null;
+    }
+
+    if (ruleSet && (entry.rule_set || defaultRuleSet) !== ruleSet) {
+      return null;
+    }
+
+    // Entries recorded before REJECTED_BY_RULE_SET existed have no rejected_by
+    return entry.rejected_by ? entry : { ...entry, rejected_by: REJECTED_BY_RULE_SET };
+  }
+
+  async remove(steamId) {
+    return this.store.withLock(async () => {
+      if (!this.store.has(steamId)) {
+        return false;
+      }
+
+      await this.store.delete(steamId);
+      logger.info(`Cleared cached rejection for ${steamId}`);
+      return true;
+    });
+  }
+
+  async clear() {
+    return this.store.withLock(async () => {
+      const cleared = this.store.size;
+      if (cleared > 0) {
+        await this.store.replaceAll([]);
+        logger.info(`Cleared ${cleared} cached rejections`);
+      }
+      return cleared;
+    });
+  }
+
+  async pruneExpired() {
+    return this.store.withLock(async () => {
+      const now = Date.now();
+      const expired = this.store.values()
+        .filter(entry => entry.expires_at <= now)
+        .map(entry => entry.steam_id);
+
+      if (expired.length > 0) {
+        await this.store.deleteMany(expired);
+        logger.debug(`Pruned ${expired.length} expired cached rejections`);
+      }
+
+      return expired.length;
+    });
+  }
+
+  getStats() {
+    this.store.refresh();
+    return { total: this.store.size, ttl_ms: this.ttl };
+  }
+}
+
+RejectionCache.REJECTED_BY_RULE_SET = REJECTED_BY_RULE_SET;
+
+module.exports = RejectionCache;
@@ -0,0 +1,219 @@
+// src/rule-expression.js
+
+// Small boolean language a rule set uses to decide whether a profile is accepted:
+//
+//   level <= 5 OR (friends_count <= 20 AND item_count == 0)
+//   (animated_avatar OR level == 0) AND friends AND csgo_inventory
+//
+// Identifiers are check names (true when the check passed), check metrics
+// declared in the CheckRegistry (level, friends_count, item_count) or
+// <check>.<detail> for any numeric detail a check returns. Operators: AND, OR,
+// NOT (or &&, ||, !), <, <=, >, >=, ==, != and parentheses.
+//
+// Evaluation uses three-valued logic: a check that hasn't run yet is unknown
+// (null), and the result is null until enough checks have run to decide it.
+// AND/OR stop at the first operand that settles the outcome.
+
+const TOKEN_PATTERN = /\s*(\d+(?:\.\d+)?|[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)?|<=|>=|==|!=|&&|\|\||[()<>!])/y;
+const COMPARISON_OPERATORS = ['<', '<=', '>', '>=', '==', '!='];
+
+class RuleExpression {
+  // resolveVariable(name) returns { check, read(result) } or null for unknown names
+  constructor(source, resolveVariable) {
+    this.source = source;
+    this.resolveVariable = resolveVariable;
+    this.variables = new Map();
+
+    this.tokens = this.tokenize(source);
+    this.position = 0;
+    this.ast = this.parseOr();
+
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected '${this.tokens[this.position]}' in rule expression: ${source}`);
+    }
+  }
+
+  tokenize(source) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < source.length) {
+      const start = TOKEN_PATTERN.lastIndex;
+      const match = TOKEN_PATTERN.exec(source);
+
+      if (!match) {
+        if (source.slice(start).trim() === '') break;
+        throw new Error(`Invalid character at position ${start} in rule expression: ${source}`);
+      }
+
+      tokens.push(match[1]);
+    }
+
+    return tokens;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  // Consume the next token if it is one of the given keywords/operators
+  accept(...options) {
+    const token = this.peek();
+    if (token !== undefined && options.includes(token.toUpperCase())) {
+      this.position++;
+      return token;
+    }
+    return null;
+  }
+
+  parseOr() {
+    const operands = [this.parseAnd()];
+    while (this.accept('OR', '||')) {
+      operands.push(this.parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  parseAnd() {
+    const operands = [this.parseNot()];
+    while (this.accept('AND', '&&')) {
+      operands.push(this.parseNot());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  parseNot() {
+    if (this.accept('NOT', '!')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parsePrimary();
+    const operator = this.accept(...COMPARISON_OPERATORS);
+
+    if (!operator) {
+      return left;
+    }
+
+    return { type: 'compare', operator, left, right: this.parsePrimary() };
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token === undefined) {
+      throw new Error(`Unexpected end of rule expression: ${this.source}`);
+    }
+
+    this.position++;
+
+    if (token === '(') {
+      const inner = this.parseOr();
+      if (!this.accept(')')) {
+        throw new Error(`Missing ')' in rule expression: ${this.source}`);
+      }
+      return inner;
+    }
+
+    if (/^\d/.test(token)) {
+      return { type: 'literal', value: Number(token) };
+    }
+
+    if (/^(true|false)$/i.test(token)) {
+      return { type: 'literal', value: token.toLowerCase() === 'true' };
+    }
+
+    if (/^[A-Za-z_]/.test(token) && !/^(AND|OR|NOT)$/i.test(token)) {
+      const variable = this.resolveVariable(token);
+      if (!variable) {
+        throw new Error(`Unknown name '${token}' in rule expression: ${this.source}`);
+      }
+      this.variables.set(token, variable);
+      return { type: 'variable', name: token };
+    }
+
+    throw new Error(`Unexpected '${token}' in rule expression: ${this.source}`);
+  }
+
+  // Checks the expression reads
+  referencedChecks() {
+    return Array.from(new Set(Array.from(this.variables.values()).map(variable => variable.check)));
+  }
+
+  // results: checkName -> { passed, details } for the checks that have completed.
+  // Returns true (accept), false (reject) or null (not decided yet).
+  evaluate(results) {
+    return this.evaluateNode(this.ast, results);
+  }
+
+  evaluateNode(node, results) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'variable': {
+        const variable = this.variables.get(node.name);
+        const result = results[variable.check];
+        if (!result) return null;
+        const value = variable.read(result);
+        return value === undefined ? null : value;
+      }
+
+      case 'not': {
+        const value = this.evaluateNode(node.operand, results);
+        return value === null ? null : !value;
+      }
+
+      case 'and': {
+        let unknown = false;
+        for (const operand of node.operands) {
+          const value = this.evaluateNode(operand, results);
+          if (value === null) {
+            unknown = true;
+          } else if (!value) {
+            return false;
+          }
+        }
+        return unknown ? null : true;
+      }
+
+      case 'or': {
+        let unknown = false;
+        for (const operand of node.operands) {
+          const value = this.evaluateNode(operand, results);
+          if (value === null) {
+            unknown = true;
+          } else if (value) {
+            return true;
+          }
+        }
+        return unknown ? null : false;
+      }
+
+      case 'compare': {
+        const left = this.evaluateNode(node.left, results);
+        const right = this.evaluateNode(node.right, results);
+        if (left === null || right === null) return null;
+
+        switch (node.operator) {
+          case '<': return left < right;
+          case '<=': return left <= right;
+          case '>': return left > right;
+          case '>=': return left >= right;
+          case '==': return left === right;
+          case '!=': return left !== right;
+        }
+      }
+    }
+
+    throw new Error(`Unknown rule expression node '${node.type}'`);
+  }
+
+  toJSON() {
+    return this.source;
+  }
+}
+
+module.exports = RuleExpression;
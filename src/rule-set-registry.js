@@ -0,0 +1,312 @@
+// src/rule-set-registry.js
+const fs = require('fs-extra');
+const logger = require('./utils/logger');
+const RuleExpression = require('./rule-expression');
+const ProfileScorer = require('./profile-scorer');
+
+// Used when no rule set file exists: every registered check that isn't opt-in,
+// with the thresholds the checks have always used
+const BUILT_IN_RULE_SET = 'default';
+
+// Named rule sets loaded from RULE_SETS_PATH (config/rule-sets.json):
+//
+//   {
+//     "default_rule_set": "default",
+//     "rule_sets": {
+//       "default": { "checks": { "steam_level": { "max_level": 13 }, "friends": { "max_friends": 60 }, ... } },
+//       "lenient": { "checks": { ... }, "accept": "level <= 5 OR (friends_count <= 20 AND item_count == 0)" },
+//       "scored": { "checks": { ... }, "scoring": { "threshold": 70, "weights": { ... } } }
+//     },
+//     "api_keys": { "CAMPAIGN_X_API_KEY": "strict" },
+//     "shadow_rule_sets": { "default": "strict" }
+//   }
+//
+// A rule set picks which checks run (the keys of "checks") and passes each
+// check its thresholds. "accept" is a rule expression (see RuleExpression)
+// deciding the verdict from the check results; without one every check has to
+// pass. "scoring" accepts profiles whose weighted score (see ProfileScorer)
+// reaches the threshold instead - weights and threshold default to
+// SCORE_WEIGHTS/SCORE_THRESHOLD, and an "accept" expression must also hold if
+// given. "api_keys" maps environment variables holding harvester keys to the
+// rule set their submissions get when they don't ask for one.
+// "shadow_rule_sets" maps an active rule set to a candidate that is evaluated
+// on the same check results for comparison only (see compareWithShadow).
+class RuleSetRegistry {
+  constructor(config, checkRegistry) {
+    this.config = config;
+    this.checkRegistry = checkRegistry;
+    this.rulesPath = config.RULE_SETS_PATH;
+
+    this.ruleSets = new Map();
+    this.defaultName = BUILT_IN_RULE_SET;
+    // API key value -> rule set name
+    this.apiKeys = new Map();
+    // Active rule set name -> candidate rule set name evaluated in shadow
+    this.shadows = new Map();
+
+    this.load();
+  }
+
+  load() {
+    if (!this.rulesPath || !fs.existsSync(this.rulesPath)) {
+      logger.info(`No rule set file found, using built-in '${BUILT_IN_RULE_SET}' rule set`);
+      this.ruleSets = new Map([[BUILT_IN_RULE_SET, this.createBuiltInRuleSet()]]);
+      return;
+    }
+
+    // A broken rule set file must stop startup rather than silently change what gets accepted
+    const file = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+    const ruleSets = new Map();
+
+    for (const [name, definition] of Object.entries(file.rule_sets || {})) {
+      ruleSets.set(name, this.validateRuleSet(name, definition));
+    }
+
+    const defaultName = file.default_rule_set || BUILT_IN_RULE_SET;
+    if (!ruleSets.has(defaultName)) {
+      throw new Error(`Rule set file ${this.rulesPath}: default rule set '${defaultName}' is not defined`);
+    }
+
+    const apiKeys = new Map();
+    for (const [envVar, ruleSetName] of Object.entries(file.api_keys || {})) {
+      if (!ruleSets.has(ruleSetName)) {
+        throw new Error(`Rule set file ${this.rulesPath}: ${envVar} refers to unknown rule set '${ruleSetName}'`);
+      }
+
+      if (!process.env[envVar]) {
+        logger.warn(`Rule set '${ruleSetName}' is mapped to ${envVar}, which is not set`);
+        continue;
+      }
+
+      apiKeys.set(process.env[envVar], ruleSetName);
+    }
+
+    const shadows = new Map();
+    for (const [activeName, candidateName] of Object.entries(file.shadow_rule_sets || {})) {
+      if (!ruleSets.has(activeName) || !ruleSets.has(candidateName)) {
+        throw new Error(`Rule set file ${this.rulesPath}: shadow mapping '${activeName}' -> '${candidateName}' refers to an unknown rule set`);
+      }
+
+      if (activeName === candidateName) {
+        throw new Error(`Rule set file ${this.rulesPath}: rule set '${activeName}' cannot shadow itself`);
+      }
+
+      shadows.set(activeName, candidateName);
+    }
+
+    this.ruleSets = ruleSets;
+    this.defaultName = defaultName;
+    this.apiKeys = apiKeys;
+    this.shadows = shadows;
+
+    logger.info(`Loaded ${ruleSets.size} rule sets (default: '${defaultName}')`);
+
+    for (const [activeName, candidateName] of shadows) {
+      logger.info(`Rule set '${candidateName}' is evaluated in shadow next to '${activeName}'`);
+    }
+  }
+
+  createBuiltInRuleSet() {
+    const checks = {};
+    for (const name of this.checkRegistry.standardNames()) {
+      checks[name] = {};
+    }
+    return this.validateRuleSet(BUILT_IN_RULE_SET, { description: 'All checks with the standard thresholds', checks });
+  }
+
+  validateRuleSet(name, definition) {
+    const checks = definition.checks || {};
+    const unknownChecks = Object.keys(checks).filter(checkName => !this.checkRegistry.has(checkName));
+
+    if (unknownChecks.length > 0) {
+      throw new Error(`Rule set '${name}' uses unknown checks: ${unknownChecks.join(', ')}`);
+    }
+
+    if (Object.keys(checks).length === 0) {
+      throw new Error(`Rule set '${name}' does not run any checks`);
+    }
+
+    const resolveVariable = variableName => this.checkRegistry.resolveVariable(variableName);
+    let accept = null;
+    let scorer = null;
+
+    try {
+      for (const [checkName, options] of Object.entries(checks)) {
+        try {
+          this.checkRegistry.validateOptions(checkName, options);
+        } catch (error) {
+          throw new Error(`check '${checkName}': ${error.message}`);
+        }
+      }
+
+      if (definition.scoring) {
+        const scoring = definition.scoring === true ? {} : definition.scoring;
+        scorer = new ProfileScorer({
+          weights: scoring.weights || this.config.SCORE_WEIGHTS,
+          threshold: scoring.threshold ?? this.config.SCORE_THRESHOLD
+        }, resolveVariable);
+        // Signals for checks this rule set doesn't run can never be scored
+        scorer.restrictTo(Object.keys(checks));
+      }
+
+      // No accept expression and no scoring: every check in the rule set has to pass
+      if (definition.accept || !scorer) {
+        accept = new RuleExpression(definition.accept || Object.keys(checks).join(' AND '), resolveVariable);
+      }
+    } catch (error) {
+      throw new Error(`Rule set '${name}': ${error.message}`);
+    }
+
+    const missingChecks = accept ? accept.referencedChecks().filter(checkName => !(checkName in checks)) : [];
+    if (missingChecks.length > 0) {
+      throw new Error(`Rule set '${name}': accept expression uses checks the rule set doesn't run: ${missingChecks.join(', ')}`);
+    }
+
+    return {
+      name,
+      description: definition.description || null,
+      checks,
+      accept,
+      scorer
+    };
+  }
+
+  get(name) {
+    return this.ruleSets.get(name) || null;
+  }
+
+  has(name) {
+    return this.ruleSets.has(name);
+  }
+
+  list() {
+    return Array.from(this.ruleSets.values());
+  }
+
+  getDefault() {
+    return this.ruleSets.get(this.defaultName);
+  }
+
+  // Harvester keys configured through "api_keys" (in addition to LINK_HARVESTER_API_KEY)
+  isKnownApiKey(apiKey) {
+    return this.apiKeys.has(apiKey);
+  }
+
+  // Rule set for a submission: the one it asked for, else its API key's, else the default.
+  // Returns { ruleSet } or { error } for an unknown name.
+  resolve(requestedName, apiKey = null) {
+    if (requestedName) {
+      const requested = this.get(requestedName);
+      if (!requested) {
+        return { error: `Unknown rule set '${requestedName}'. Valid rule sets: ${Array.from(this.ruleSets.keys()).join(', ')}` };
+      }
+      return { ruleSet: requested };
+    }
+
+    if (apiKey && this.apiKeys.has(apiKey)) {
+      return { ruleSet: this.get(this.apiKeys.get(apiKey)) };
+    }
+
+    return { ruleSet: this.getDefault() };
+  }
+
+  // Rule set a queued profile was submitted with. Profiles queued before rule
+  // sets existed, or whose rule set was since removed, fall back to the default.
+  forProfile(profile) {
+    const ruleSet = profile.rule_set ? this.get(profile.rule_set) : null;
+
+    if (profile.rule_set && !ruleSet) {
+      logger.warn(`Profile ${profile.steam_id} uses unknown rule set '${profile.rule_set}', falling back to '${this.defaultName}'`);
+    }
+
+    return ruleSet || this.getDefault();
+  }
+
+  // Completed check results of a queued profile, as rule expressions read them.
+  // With judgeBy, results are re-judged against that rule set's thresholds
+  // instead of the ones they were recorded with.
+  collectResults(profile, judgeBy = null) {
+    const checkResults = profile.check_results || {};
+    const results = {};
+
+    for (const [checkName, status] of Object.entries(profile.checks)) {
+      if (status === "passed" || status === "failed") {
+        results[checkName] = {
+          passed: status === "passed",
+          details: (checkResults[checkName] || {}).details || {}
+        };
+
+        if (judgeBy && judgeBy.checks[checkName]) {
+          results[checkName].passed = this.checkRegistry.judge(checkName, results[checkName], judgeBy.checks[checkName]);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  // Verdict of the profile's rule set so far: true (accept), false (reject)
+  // or null while it still depends on checks that haven't completed
+  evaluate(profile) {
+    return this.decide(this.forProfile(profile), this.collectResults(profile));
+  }
+
+  decide(ruleSet, results) {
+    const accepted = ruleSet.accept ? ruleSet.accept.evaluate(results) : true;
+    if (!ruleSet.scorer || accepted === false) {
+      return accepted;
+    }
+
+    const scored = ruleSet.scorer.evaluate(results);
+    if (scored === false) {
+      return false;
+    }
+    return accepted === null || scored === null ? null : true;
+  }
+
+  // { score, threshold, breakdown, pending } for rule sets in scoring mode, otherwise null
+  score(profile) {
+    const ruleSet = this.forProfile(profile);
+    return ruleSet.scorer ? ruleSet.scorer.score(this.collectResults(profile)) : null;
+  }
+
+  // Candidate rule set evaluated in shadow for a profile, or null
+  shadowFor(profile) {
+    const candidateName = this.shadows.get(this.forProfile(profile).name);
+    return candidateName ? this.get(candidateName) : null;
+  }
+
+  // Evaluate the shadow candidate on the check results the active rule set
+  // already collected. Nothing extra is fetched, so a candidate that needs a
+  // check the active rule set skipped or stopped before ends up 'undecided'.
+  // activeAccepted is the verdict the active rule set reached; the comparison
+  // is only recorded, never acted on. Returns null without a shadow rule set.
+  compareWithShadow(profile, activeAccepted) {
+    const candidate = this.shadowFor(profile);
+    if (!candidate) {
+      return null;
+    }
+
+    const activeResults = this.collectResults(profile);
+    const candidateResults = this.collectResults(profile, candidate);
+    const decision = this.decide(candidate, candidateResults);
+    const outcome = decision === null ? 'undecided' : (decision ? 'accepted' : 'rejected');
+
+    return {
+      rule_set: candidate.name,
+      outcome,
+      agrees: decision === null ? null : decision === activeAccepted,
+      // Checks whose pass/fail changes under the candidate's thresholds
+      differing_checks: Object.keys(candidateResults)
+        .filter(checkName => candidateResults[checkName].passed !== activeResults[checkName].passed),
+      score: candidate.scorer ? candidate.scorer.score(candidateResults).score : null
+    };
+  }
+
+  // Thresholds to pass to a check for a queued profile
+  checkOptions(profile, checkName) {
+    return this.forProfile(profile).checks[checkName] || {};
+  }
+}
+
+module.exports = RuleSetRegistry;
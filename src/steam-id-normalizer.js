@@ -0,0 +1,196 @@
+// src/steam-id-normalizer.js
+const logger = require('./utils/logger');
+
+// SteamID64 of account id 0 for an individual, public-universe, desktop-instance account
+const STEAMID64_BASE = 76561197960265728n;
+
+const UNIVERSE_PUBLIC = 1n;
+const ACCOUNT_TYPE_INDIVIDUAL = 1n;
+const INSTANCE_DESKTOP = 1n;
+
+const PATTERNS = {
+  steamId64: /^\d{17}$/,
+  steamId2: /^STEAM_([0-5]):([01]):(\d+)$/i,
+  steamId3: /^\[?([A-Za-z]):([0-5]):(\d+)(?::\d+)?\]?$/,
+  profileUrl: /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/profiles\/(\d{17})\/?(?:[?#].*)?$/i,
+  vanityUrl: /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/id\/([A-Za-z0-9_-]{2,32})\/?(?:[?#].*)?$/i
+};
+
+// Turns the identifier formats harvesters scrape (SteamID64, SteamID2, SteamID3,
+// /profiles/ and /id/ links) into a validated SteamID64
+class SteamIdNormalizer {
+  constructor(config, steamValidator) {
+    this.config = config;
+    this.steamValidator = steamValidator;
+
+    // vanity name (lowercase) -> { steamId, expiresAt }; steamId null = no such vanity
+    this.vanityCache = new Map();
+    this.cacheTtl = config.VANITY_CACHE_TTL || 24 * 60 * 60 * 1000;
+    this.negativeCacheTtl = config.VANITY_NEGATIVE_CACHE_TTL || 60 * 60 * 1000;
+    this.maxCacheEntries = config.VANITY_CACHE_MAX_ENTRIES || 10000;
+  }
+
+  // Returns { success: true, steamId, format } or { success: false, error, retryable }.
+  // resolvedVanity: vanity name (lowercase) -> result already looked up (see normalizeMany)
+  async normalize(input, resolvedVanity = null) {
+    const value = String(input ?? '').trim();
+
+    if (!value) {
+      return { success: false, error: 'Missing Steam ID' };
+    }
+
+    let match;
+
+    if (PATTERNS.steamId64.test(value)) {
+      return this.validateSteamId64(value, 'steamid64');
+    }
+
+    if ((match = value.match(PATTERNS.profileUrl))) {
+      return this.validateSteamId64(match[1], 'profile_url');
+    }
+
+    if ((match = value.match(PATTERNS.steamId2))) {
+      return this.fromSteamId2(match);
+    }
+
+    if ((match = value.match(PATTERNS.steamId3))) {
+      return this.fromSteamId3(match);
+    }
+
+    if ((match = value.match(PATTERNS.vanityUrl))) {
+      const resolved = resolvedVanity && resolvedVanity.get(match[1].toLowerCase());
+      return resolved || this.resolveVanity(match[1]);
+    }
+
+    return {
+      success: false,
+      error: 'Unrecognized Steam ID format. Expected SteamID64, STEAM_X:Y:Z, [U:1:Z] or a steamcommunity.com profile link'
+    };
+  }
+
+  // normalize() for a bulk submission. The distinct vanity names are resolved up
+  // front, VANITY_RESOLVE_CONCURRENCY at a time, so each name is looked up once
+  // however often it appears (cached names don't reach Steam at all).
+  async normalizeMany(inputs) {
+    const names = new Map();
+    for (const input of inputs) {
+      const match = String(input ?? '').trim().match(PATTERNS.vanityUrl);
+      if (match && !names.has(match[1].toLowerCase())) {
+        names.set(match[1].toLowerCase(), match[1]);
+      }
+    }
+
+    const pending = Array.from(names.values());
+    const resolvedVanity = new Map();
+    const concurrency = this.config.VANITY_RESOLVE_CONCURRENCY || 5;
+
+    const worker = async () => {
+      while (pending.length > 0) {
+        const vanityName = pending.shift();
+        resolvedVanity.set(vanityName.toLowerCase(), await this.resolveVanity(vanityName));
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+
+    return Promise.all(inputs.map(input => this.normalize(input, resolvedVanity)));
+  }
+
+  // STEAM_X:Y:Z - X is the universe (0 is a legacy alias of public), Y the low bit, Z the rest
+  fromSteamId2([, universe, lowBit, highBits]) {
+    if (universe !== '0' && universe !== '1') {
+      return { success: false, error: `SteamID2 universe ${universe} is not the public universe` };
+    }
+
+    const accountId = BigInt(highBits) * 2n + BigInt(lowBit);
+    return this.fromAccountId(accountId, 'steamid2');
+  }
+
+  // [U:1:W] - only individual (U) accounts in the public universe are profiles we can check
+  fromSteamId3([, typeLetter, universe, accountId]) {
+    if (typeLetter !== 'U') {
+      return { success: false, error: `SteamID3 account type '${typeLetter}' is not an individual account` };
+    }
+
+    if (universe !== '1') {
+      return { success: false, error: `SteamID3 universe ${universe} is not the public universe` };
+    }
+
+    return this.fromAccountId(BigInt(accountId), 'steamid3');
+  }
+
+  fromAccountId(accountId, format) {
+    if (accountId <= 0n || accountId > 0xFFFFFFFFn) {
+      return { success: false, error: 'Account id out of range' };
+    }
+
+    return this.validateSteamId64((STEAMID64_BASE + accountId).toString(), format);
+  }
+
+  // Check the bit fields instead of just the length
+  validateSteamId64(steamId, format) {
+    const id = BigInt(steamId);
+    const universe = id >> 56n;
+    const accountType = (id >> 52n) & 0xFn;
+    const instance = (id >> 32n) & 0xFFFFFn;
+    const accountId = id & 0xFFFFFFFFn;
+
+    if (universe !== UNIVERSE_PUBLIC) {
+      return { success: false, error: `Steam ID ${steamId} is not in the public universe (universe ${universe})` };
+    }
+
+    if (accountType !== ACCOUNT_TYPE_INDIVIDUAL) {
+      return { success: false, error: `Steam ID ${steamId} is not an individual account (type ${accountType})` };
+    }
+
+    if (instance !== INSTANCE_DESKTOP || accountId === 0n) {
+      return { success: false, error: `Steam ID ${steamId} is not a valid user account` };
+    }
+
+    return { success: true, steamId, format };
+  }
+
+  async resolveVanity(vanityName) {
+    const cacheKey = vanityName.toLowerCase();
+    const cached = this.vanityCache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      logger.debug(`Vanity URL cache hit for '${vanityName}'`);
+      return cached.steamId
+        ? this.validateSteamId64(cached.steamId, 'vanity_url')
+        : { success: false, error: `No Steam profile found for vanity URL '${vanityName}'` };
+    }
+
+    const result = await this.steamValidator.resolveVanityUrl(vanityName);
+
+    if (!result.success) {
+      // Lookup errors are not cached - the next submission retries
+      return { success: false, error: `Could not resolve vanity URL '${vanityName}': ${result.error}`, retryable: true };
+    }
+
+    this.cacheVanity(cacheKey, result.steamId);
+
+    if (!result.steamId) {
+      return { success: false, error: `No Steam profile found for vanity URL '${vanityName}'` };
+    }
+
+    logger.info(`Resolved vanity URL '${vanityName}' to ${result.steamId}`);
+    return this.validateSteamId64(result.steamId, 'vanity_url');
+  }
+
+  cacheVanity(cacheKey, steamId) {
+    this.vanityCache.delete(cacheKey);
+
+    // Map keeps insertion order, so the first key is the oldest entry
+    if (this.vanityCache.size >= this.maxCacheEntries) {
+      this.vanityCache.delete(this.vanityCache.keys().next().value);
+    }
+
+    this.vanityCache.set(cacheKey, {
+      steamId,
+      expiresAt: Date.now() + (steamId ? this.cacheTtl : this.negativeCacheTtl)
+    });
+  }
+}
+
+module.exports = SteamIdNormalizer;
@@ -4,17 +4,55 @@ const fs = require('fs-extra');
 const path = require('path');
 const logger = require('./utils/logger');
 const ProxyManager = require('./proxy-manager');
+const CheckRegistry = require('./check-registry');
+const InventoryClassifier = require('./inventory-classifier');
 const { SocksProxyAgent } = require('socks-proxy-agent');
 
+let dryRunCount = 0;
+
+// How long a response shared by several checks of a profile (GetProfileItemsEquipped
+// for the cosmetic checks, GetOwnedGames for the game library checks) is reused
+const SHARED_RESPONSE_TTL = 60 * 1000;
+
+const CS2_APPID = 730;
+
+// Avatar hash Steam reports for accounts that never uploaded an avatar
+const DEFAULT_AVATAR_HASH = 'fef49e7fa7e1997310d705b2a6158ff8dc1cdfeb';
+
+// Lookups the batched stage fetches for up to 100 queued profiles per call,
+// keyed by the profile field they are stored in
+const BATCHED_LOOKUPS = {
+  player_summary: {
+    label: 'Player summaries',
+    fetch: 'fetchPlayerSummaries',
+    // Feeds the private-profile flag the rest of the pipeline uses
+    extraFields: summary => (summary ? { is_private: summary.is_private } : {})
+  },
+  player_bans: {
+    label: 'Player bans',
+    fetch: 'fetchPlayerBans'
+  }
+};
+
 // Load environment variables
 require('dotenv').config();
 
 class SteamValidator {
-  constructor(config) {
+  constructor(config, checkRegistry = new CheckRegistry(config)) {
     this.config = config;
+    this.checkRegistry = checkRegistry;
     this.apiKey = null;
-    this.lastApiCallTime = 0;
-    this.minApiCallInterval = 1000; // 1 second between calls
+    this.minApiCallInterval = 1000; // 1 second between calls per connection
+    this.directCallInterval = config.DIRECT_API_CALL_INTERVAL ?? this.minApiCallInterval;
+    // connection key -> earliest time the next call may start. Shared by all
+    // worker views, so it is only ever mutated, never reassigned.
+    this.rateLimitSlots = new Map();
+    this.deferredRun = { active: false };
+    // retryAfter: lookup field -> time the batched stage may try it again
+    this.batchRun = { active: false, retryAfter: {} };
+    this.workerId = 'main';
+    // Only dry-run views keep a call log (see forDryRun)
+    this.callLog = null;
     this.loadApiKey();
     
     // Initialize the proxy manager - use project root directory
@@ -23,6 +61,9 @@ class SteamValidator {
     
     // Add a property to track deferred checks
     this.deferredChecks = new Map();
+    
+    // url -> { fetchedAt, request } for responses several checks of a profile read (see sharedRequest)
+    this.sharedResponses = new Map();
   }
 
   loadApiKey() {
@@ -37,21 +78,70 @@ class SteamValidator {
     }
   }
 
-  async respectRateLimit() {
+  // A view of this validator for one worker of the pool. It shares everything
+  // (proxy manager, rate limits, deferred checks) but holds its own proxy connection.
+  forWorker(workerId) {
+    const view = Object.create(this);
+    view.workerId = workerId;
+    return view;
+  }
+
+  // A worker view for a one-off evaluation that logs every request it makes
+  forDryRun() {
+    const view = this.forWorker(`dry-run-${++dryRunCount}`);
+    view.callLog = [];
+    return view;
+  }
+
+  recordCall(endpointName, connection, startedAt, status, error = null) {
+    if (!this.callLog) {
+      return;
+    }
+    
+    this.callLog.push({
+      endpoint: endpointName,
+      // Calls to endpoints that aren't rate limited always go out directly, outside the pool
+      connection: connection ? this.proxyManager.describeConnection(connection) : { pool_index: null, type: 'direct', url: null },
+      status,
+      latency_ms: startedAt ? Date.now() - startedAt : null,
+      error
+    });
+  }
+
+  // Space out calls made over the same connection. Slots are reserved
+  // synchronously, so concurrent workers queue up instead of all firing at once.
+  async respectRateLimit(connectionKey = 'direct', interval = this.minApiCallInterval) {
     const currentTime = Date.now();
-    const timeSinceLast = currentTime - this.lastApiCallTime;
+    const slot = Math.max(currentTime, this.rateLimitSlots.get(connectionKey) || 0);
+    this.rateLimitSlots.set(connectionKey, slot + interval);
     
-    if (timeSinceLast < this.minApiCallInterval) {
-      const waitTime = this.minApiCallInterval - timeSinceLast;
+    const waitTime = slot - currentTime;
+    if (waitTime > 0) {
       logger.debug(`Rate limiting: Waiting ${waitTime}ms before next API call`);
       await new Promise(resolve => setTimeout(resolve, waitTime));
     }
+  }
+  
+  // Rate limit slot for a non-proxy call: endpoints listed in
+  // DIRECT_API_ENDPOINT_INTERVALS get their own, the rest share 'direct'
+  directRateLimit(endpointName) {
+    const intervals = this.config.DIRECT_API_ENDPOINT_INTERVALS || {};
+    if (intervals[endpointName] !== undefined) {
+      return { rateLimitKey: `direct:${endpointName}`, callInterval: intervals[endpointName] };
+    }
     
-    this.lastApiCallTime = Date.now();
+    return { rateLimitKey: 'direct', callInterval: this.directCallInterval };
   }
   
-  async makeApiRequest(url, needsProxy = false) {
-    await this.respectRateLimit();
+  // Non-proxy requests use their endpoint's rate limit slot unless given one
+  async makeApiRequest(url, needsProxy = false, rateLimit = null) {
+    let connection = null;
+    let requestStartedAt = null;
+    
+    // Web API method name, e.g. GetSteamLevel from .../IPlayerService/GetSteamLevel/v1/
+    const endpointName = url.includes('GetFriendList') ? 'friends' : 
+                        url.includes('inventory') ? 'inventory' : 
+                        url.split('?')[0].split('/').filter(Boolean).slice(-2)[0];
     
     // TEMPORARY: For testing cooldown logic - remove after testing
     const SIMULATE_ERRORS = false;
@@ -65,10 +155,6 @@ class SteamValidator {
                       url.includes('inventory') ? 'inventory' : 
                       'other';
       
-      const endpointName = url.includes('GetFriendList') ? 'friends' : 
-                          url.includes('inventory') ? 'inventory' : 
-                          url.split('?')[0].split('/').pop();
-      
       if (needsProxy) {
         // Log which endpoint is using proxies
         logger.info(`🌐 Making request to rate-limited endpoint: ${endpointName}`);
@@ -86,10 +172,22 @@ class SteamValidator {
           };
         }
         
-        // Get axios instance with current connection (SOCKS5 or direct)
-        axiosInstance = this.proxyManager.createAxiosInstance(url);
+        // Use this worker's own connection (SOCKS5 or direct)
+        connection = this.proxyManager.acquireConnection(this.workerId);
+        if (!connection) {
+          const status = this.proxyManager.getConnectionStatus();
+          return {
+            allInCooldown: true,
+            nextAvailableIn: status.nextAvailableIn || 60000
+          };
+        }
+        
+        await this.respectRateLimit(connection.url || 'direct');
+        axiosInstance = this.proxyManager.createAxiosInstance(url, connection);
       } else {
         // For non-proxy endpoints, use default axios
+        const { rateLimitKey, callInterval } = rateLimit || this.directRateLimit(endpointName);
+        await this.respectRateLimit(rateLimitKey, callInterval);
         logger.debug(`Making request to non-rate-limited endpoint: ${endpointName}`);
         axiosInstance = axios.create({
           timeout: 10000,
@@ -99,6 +197,7 @@ class SteamValidator {
         });
       }
       
+      requestStartedAt = Date.now();
       const response = await axiosInstance.get(url);
       
       // TEMPORARY: Simulate errors for testing - remove after testing
@@ -121,11 +220,13 @@ class SteamValidator {
       }
       
       logger.debug(`✅ ${endpointName} request successful`);
+      this.recordCall(endpointName, connection, requestStartedAt, response.status);
       return { success: true, data: response.data };
       
     } catch (error) {
       const errorStatus = error.response ? error.response.status : 'no status';
       const errorMessage = error.message || 'Unknown error';
+      this.recordCall(endpointName, connection, requestStartedAt, error.response ? error.response.status : null, errorMessage);
       
       // Determine endpoint type for error handling
       const endpoint = url.includes('GetFriendList') ? 'friends' : 
@@ -136,26 +237,26 @@ class SteamValidator {
       if (error.response && error.response.status === 429) {
         logger.warn(`⚠️ Rate limited (429) received for ${endpoint} endpoint`);
         
-        if (needsProxy) {
-          // Mark current connection as in cooldown with 429 error type
-          this.proxyManager.markCurrentAsCooldown('429', endpoint, errorMessage);
+        if (needsProxy && connection) {
+          // Mark this worker's connection as in cooldown with 429 error type
+          this.proxyManager.markConnectionAsCooldown(connection, '429', endpoint, errorMessage);
           return this.retryWithNextConnection(url, needsProxy, endpoint);
         }
       }
       // Handle SOCKS5 errors
-      else if (needsProxy && this.isSocksError(error)) {
+      else if (needsProxy && connection && this.isSocksError(error)) {
         logger.warn(`⚠️ SOCKS5 error on ${endpoint} endpoint: ${errorMessage}`);
         
-        // Mark current connection as in cooldown with SOCKS error type
-        this.proxyManager.markCurrentAsCooldown('socks_error', endpoint, errorMessage);
+        // Mark this worker's connection as in cooldown with SOCKS error type
+        this.proxyManager.markConnectionAsCooldown(connection, 'socks_error', endpoint, errorMessage);
         return this.retryWithNextConnection(url, needsProxy, endpoint);
       }
       // Handle connection errors
-      else if (needsProxy && this.isConnectionError(error)) {
+      else if (needsProxy && connection && this.isConnectionError(error)) {
         logger.warn(`⚠️ Connection error on ${endpoint} endpoint: ${errorMessage}`);
         
-        // Mark current connection as in cooldown with connection error type
-        this.proxyManager.markCurrentAsCooldown('connection_error', endpoint, errorMessage);
+        // Mark this worker's connection as in cooldown with connection error type
+        this.proxyManager.markConnectionAsCooldown(connection, 'connection_error', endpoint, errorMessage);
         return this.retryWithNextConnection(url, needsProxy, endpoint);
       }
       
@@ -203,13 +304,10 @@ class SteamValidator {
     // Check if we have another connection available, retry immediately
     const status = this.proxyManager.getConnectionStatus();
     if (status.availableConnections > 0) {
-      const nextConn = this.proxyManager.getNextAvailableConnection();
-      if (!nextConn._allInCooldown) {
-        const nextType = nextConn.type === 'direct' ? 'direct connection' : 'SOCKS5 proxy';
-        
-        logger.info(`🔄 Switching to ${nextType} and retrying...`);
-        return this.makeApiRequest(url, needsProxy);
-      }
+      // The worker's connection is in cooldown now, so the next acquire picks another one
+      this.proxyManager.releaseConnection(this.workerId);
+      logger.info(`🔄 Switching ${this.workerId} to another connection and retrying...`);
+      return this.makeApiRequest(url, needsProxy);
     }
     
     // All connections in cooldown
@@ -220,7 +318,68 @@ class SteamValidator {
     };
   }
 
+  // Direct Web API request whose response several checks of a profile read: the
+  // first check makes it, the others reuse it for SHARED_RESPONSE_TTL
+  sharedRequest(url) {
+    const now = Date.now();
+    for (const [cachedUrl, entry] of this.sharedResponses) {
+      if (now - entry.fetchedAt > SHARED_RESPONSE_TTL) {
+        this.sharedResponses.delete(cachedUrl);
+      }
+    }
+    
+    if (!this.sharedResponses.has(url)) {
+      const request = this.makeApiRequest(url, false) // No proxy needed
+        .catch(error => ({ success: false, error: error.message }));
+      
+      this.sharedResponses.set(url, { fetchedAt: now, request });
+    }
+    
+    return this.sharedResponses.get(url).request;
+  }
+
+  // Equipped profile items (animated_avatar, avatar_frame, mini_profile_background,
+  // profile_background, ...) from a single call, fetched once per profile and
+  // reused by each cosmetic check. Resolves to null if the call fails.
+  async getEquippedItems(steamId) {
+    const url = `https://api.steampowered.com/IPlayerService/GetProfileItemsEquipped/v1/?steamid=${steamId}`;
+    const result = await this.sharedRequest(url);
+    
+    if (result.success && result.data && result.data.response) {
+      return result.data.response;
+    }
+    
+    logger.warn(`Equipped items lookup failed for ${steamId}: ${result.error || 'Unexpected API response'} - using per-item checks`);
+    return null;
+  }
+
+  // A cosmetic check answered from the equipped items. Details keep the shape of
+  // the per-item endpoint's response. Returns null to fall back to that endpoint.
+  async checkEquippedItem(steamId, itemKey, detailsKey) {
+    if (this.config.COSMETIC_CHECK_MODE === 'per_item') {
+      return null;
+    }
+    
+    const items = await this.getEquippedItems(steamId);
+    if (!items || !(itemKey in items)) {
+      return null;
+    }
+    
+    const item = items[itemKey];
+    const isEquipped = Boolean(item) && Object.keys(item).length > 0;
+    return {
+      success: true,
+      passed: !isEquipped,
+      details: isEquipped ? { [detailsKey]: item } : {}
+    };
+  }
+
   async checkAnimatedAvatar(steamId) {
+    const equipped = await this.checkEquippedItem(steamId, 'animated_avatar', 'avatar');
+    if (equipped) {
+      return equipped;
+    }
+    
     try {
       const url = `https://api.steampowered.com/IPlayerService/GetAnimatedAvatar/v1/?steamid=${steamId}`;
       const result = await this.makeApiRequest(url, false); // No proxy needed
@@ -251,6 +410,11 @@ class SteamValidator {
   }
 
   async checkAvatarFrame(steamId) {
+    const equipped = await this.checkEquippedItem(steamId, 'avatar_frame', 'avatar_frame');
+    if (equipped) {
+      return equipped;
+    }
+    
     try {
       const url = `https://api.steampowered.com/IPlayerService/GetAvatarFrame/v1/?steamid=${steamId}`;
       const result = await this.makeApiRequest(url, false); // No proxy needed
@@ -281,6 +445,11 @@ class SteamValidator {
   }
 
   async checkMiniProfileBackground(steamId) {
+    const equipped = await this.checkEquippedItem(steamId, 'mini_profile_background', 'profile_background');
+    if (equipped) {
+      return equipped;
+    }
+    
     try {
       const url = `https://api.steampowered.com/IPlayerService/GetMiniProfileBackground/v1/?steamid=${steamId}`;
       const result = await this.makeApiRequest(url, false); // No proxy needed
@@ -311,6 +480,11 @@ class SteamValidator {
   }
 
   async checkProfileBackground(steamId) {
+    const equipped = await this.checkEquippedItem(steamId, 'profile_background', 'profile_background');
+    if (equipped) {
+      return equipped;
+    }
+    
     try {
       const url = `https://api.steampowered.com/IPlayerService/GetProfileBackground/v1/?steamid=${steamId}`;
       const result = await this.makeApiRequest(url, false); // No proxy needed
@@ -340,7 +514,7 @@ class SteamValidator {
     }
   }
 
-  async checkSteamLevel(steamId) {
+  async checkSteamLevel(steamId, { max_level = 13 } = {}) {
     try {
       if (!this.apiKey) {
         return { 
@@ -377,7 +551,7 @@ class SteamValidator {
           const playerLevel = data.response.player_level;
           return {
             success: true,
-            passed: playerLevel <= 13,
+            passed: playerLevel <= max_level,
             details: { player_level: playerLevel },
             level: playerLevel,
             isPrivateProfile: false
@@ -393,7 +567,7 @@ class SteamValidator {
     }
   }
 
-  async checkFriends(steamId) {
+  async checkFriends(steamId, { max_friends = 60 } = {}) {
     try {
       if (!this.apiKey) {
         return { 
@@ -408,7 +582,6 @@ class SteamValidator {
       // Check if all connections are in cooldown
       if (result.allInCooldown) {
         logger.warn(`Friends check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'friends');
         return { 
           success: false, 
           deferred: true,
@@ -438,7 +611,7 @@ class SteamValidator {
         const friendsCount = data.friendslist.friends.length;
         return {
           success: true,
-          passed: friendsCount <= 60,
+          passed: friendsCount <= max_friends,
           details: {
             friends_count: friendsCount,
             sample_friends: data.friendslist.friends.slice(0, 3)
@@ -465,88 +638,570 @@ class SteamValidator {
     }
   }
 
-  async checkCsgoInventory(steamId) {
+  // Steam groups the profile is a member of. Private profiles pass automatically.
+  async checkGroups(steamId, options = {}) {
     try {
-      const url = `https://steamcommunity.com/inventory/${steamId}/730/2`;
-      const result = await this.makeApiRequest(url, true); // Use proxy if needed
-      
-      // Check if all connections are in cooldown
-      if (result.allInCooldown) {
-        logger.warn(`CS:GO inventory check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'csgo_inventory');
+      if (!this.apiKey) {
         return { 
           success: false, 
-          deferred: true,
-          error: "All connections in cooldown", 
-          nextAvailableIn: result.nextAvailableIn 
+          error: "Steam API key not available (check STEAM_API_KEY environment variable)" 
         };
       }
       
+      const url = `https://api.steampowered.com/ISteamUser/GetUserGroupList/v1/?key=${this.apiKey}&steamid=${steamId}`;
+      const result = await this.makeApiRequest(url, false); // No proxy needed
+      
       if (!result.success) {
-        // Special case for private inventories
-        if (result.errorObj && result.errorObj.response && 
-            (result.errorObj.response.status === 401 || result.errorObj.response.status === 403)) {
-          const errorType = result.errorObj.response.status === 401 ? "Unauthorized" : "Private inventory";
-          logger.info(`CS:GO inventory check for ${steamId}: ${errorType} - automatically passing`);
+        const status = result.errorObj && result.errorObj.response && result.errorObj.response.status;
+        
+        // Special case for private profiles (401/403 error)
+        if (status === 401 || status === 403) {
+          logger.info(`Groups check for ${steamId}: Private profile - automatically passing`);
           return {
             success: true,
             passed: true,
-            details: { error: `${errorType} - cannot check` }
+            details: { error: "Private profile - cannot check groups" }
           };
         }
         
-        logger.error(`CS:GO inventory check failed for ${steamId}: ${result.error}`);
+        logger.error(`Groups check failed for ${steamId}: ${result.error}`);
         return { success: false, error: result.error };
       }
       
       const data = result.data;
       
-      // Process results - pass if response is null or empty
-      if (data === null || Object.keys(data).length === 0) {
-        logger.info(`CS:GO inventory check passed for ${steamId} (empty)`);
+      if (data.response && data.response.success) {
+        const groups = (data.response.groups || []).map(group => String(group.gid));
+        const details = { group_count: groups.length, groups };
         return {
           success: true,
-          passed: true,
-          details: {}
+          passed: this.checkRegistry.judge('groups', { details }, options),
+          details
         };
       }
       
-      // Check if inventory is actually empty
-      if (typeof data === 'object' && 
-          (!data.assets || data.assets.length === 0) && 
-          (!data.descriptions || data.descriptions.length === 0)) {
-        logger.info(`CS:GO inventory check passed for ${steamId} (empty structure)`);
+      // success:false - the profile hides its group list
+      if (data.response && data.response.success === false) {
+        logger.info(`Group list hidden for ${steamId} (groups check)`);
+        const details = { outcome: 'hidden', note: "Profile hides its group list" };
         return {
           success: true,
-          passed: true,
-          details: {}
+          passed: this.checkRegistry.judge('groups', { details }, options),
+          details
         };
       }
       
-      // Inventory exists
-      const itemCount = data.assets ? data.assets.length : 0;
-      logger.info(`CS:GO inventory check failed for ${steamId} (found ${itemCount} items)`);
+      logger.error(`Unexpected API response format for groups check: ${JSON.stringify(data)}`);
+      return { success: false, error: "Unexpected API response" };
+    } catch (error) {
+      logger.error(`Groups check failed for ${steamId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // GetOwnedGames (played free games included) or GetRecentlyPlayedGames for a
+  // profile; GetOwnedGames is shared by both game library checks. A profile hiding
+  // its game details gets an empty response: { success: true, hidden: true }.
+  async getGameList(steamId, method, countField) {
+    const freeGames = method === 'GetOwnedGames' ? '&include_played_free_games=1' : '';
+    const url = `https://api.steampowered.com/IPlayerService/${method}/v1/?key=${this.apiKey}&steamid=${steamId}${freeGames}`;
+    const result = await this.sharedRequest(url);
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    const response = result.data && result.data.response;
+    if (!response) {
+      logger.error(`Unexpected API response format for ${method}: ${JSON.stringify(result.data)}`);
+      return { success: false, error: "Unexpected API response" };
+    }
+    
+    if (!(countField in response)) {
+      return { success: true, hidden: true };
+    }
+    
+    return { success: true, hidden: false, count: response[countField], games: response.games || [] };
+  }
+
+  hiddenGamesResult(steamId, checkName, options) {
+    logger.info(`Game details hidden for ${steamId} (${checkName} check)`);
+    const details = { outcome: 'hidden', note: "Profile hides its game details" };
+    return {
+      success: true,
+      passed: this.checkRegistry.judge(checkName, { details }, options),
+      details
+    };
+  }
+
+  async checkOwnedGames(steamId, options = {}) {
+    try {
+      if (!this.apiKey) {
+        return { 
+          success: false, 
+          error: "Steam API key not available (check STEAM_API_KEY environment variable)" 
+        };
+      }
+      
+      const owned = await this.getGameList(steamId, 'GetOwnedGames', 'game_count');
+      
+      if (!owned.success) {
+        logger.error(`Owned games check failed for ${steamId}: ${owned.error}`);
+        return { success: false, error: owned.error };
+      }
+      
+      if (owned.hidden) {
+        return this.hiddenGamesResult(steamId, 'owned_games', options);
+      }
+      
+      const details = { outcome: 'visible', game_count: owned.count };
       return {
         success: true,
-        passed: false,
-        details: {
-          item_count: itemCount,
-          sample_items: data.assets ? data.assets.slice(0, 3) : []
+        passed: this.checkRegistry.judge('owned_games', { details }, options),
+        details
+      };
+    } catch (error) {
+      logger.error(`Owned games check failed for ${steamId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // CS2 playtime in total (GetOwnedGames) and over the last two weeks (GetRecentlyPlayedGames)
+  async checkCs2Playtime(steamId, options = {}) {
+    try {
+      if (!this.apiKey) {
+        return { 
+          success: false, 
+          error: "Steam API key not available (check STEAM_API_KEY environment variable)" 
+        };
+      }
+      
+      const owned = await this.getGameList(steamId, 'GetOwnedGames', 'game_count');
+      const recent = owned.success && !owned.hidden
+        ? await this.getGameList(steamId, 'GetRecentlyPlayedGames', 'total_count')
+        : owned;
+      
+      if (!recent.success) {
+        logger.error(`CS2 playtime check failed for ${steamId}: ${recent.error}`);
+        return { success: false, error: recent.error };
+      }
+      
+      if (recent.hidden) {
+        return this.hiddenGamesResult(steamId, 'cs2_playtime', options);
+      }
+      
+      const cs2 = owned.games.find(game => game.appid === CS2_APPID);
+      const recentCs2 = recent.games.find(game => game.appid === CS2_APPID);
+      const toHours = minutes => Math.round((minutes || 0) / 6) / 10;
+      
+      const details = {
+        outcome: 'visible',
+        owns_cs2: Boolean(cs2),
+        playtime_hours: toHours(cs2 && cs2.playtime_forever),
+        recent_playtime_hours: toHours(recentCs2 && recentCs2.playtime_2weeks)
+      };
+      return {
+        success: true,
+        passed: this.checkRegistry.judge('cs2_playtime', { details }, options),
+        details
+      };
+    } catch (error) {
+      logger.error(`CS2 playtime check failed for ${steamId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Items in one inventory (app/context), following the more_items/last_assetid
+  // pages up to INVENTORY_MAX_PAGES. Registered once per INVENTORY_APPS entry.
+  // Items are classified from the descriptions; classes listed in "ignore"
+  // (see InventoryClassifier) don't count towards max_items.
+  async checkInventory(steamId, { max_items = 0, ignore = [] } = {}, lookups = {}, { appid = 730, contextid = 2 } = {}) {
+    const label = `Inventory ${appid}/${contextid}`;
+    const maxPages = this.config.INVENTORY_MAX_PAGES || 5;
+    const pageSize = this.config.INVENTORY_PAGE_SIZE || 2000;
+    
+    let itemCount = 0;
+    let totalCount = null;
+    let assets = [];
+    let descriptions = [];
+    let pages = 0;
+    let startAssetId = null;
+    let moreItems = false;
+    
+    try {
+      do {
+        const url = `https://steamcommunity.com/inventory/${steamId}/${appid}/${contextid}?count=${pageSize}` +
+                    (startAssetId ? `&start_assetid=${startAssetId}` : '');
+        const result = await this.makeApiRequest(url, true); // Use proxy if needed
+        
+        // Check if all connections are in cooldown
+        if (result.allInCooldown) {
+          logger.warn(`${label} check for ${steamId} deferred - all connections in cooldown`);
+          return { 
+            success: false, 
+            deferred: true,
+            error: "All connections in cooldown", 
+            nextAvailableIn: result.nextAvailableIn 
+          };
+        }
+        
+        if (!result.success) {
+          // Special case for private inventories
+          if (result.errorObj && result.errorObj.response && 
+              (result.errorObj.response.status === 401 || result.errorObj.response.status === 403)) {
+            return this.privateInventoryResult(steamId, label, result.errorObj.response.status);
+          }
+          
+          logger.error(`${label} check failed for ${steamId}: ${result.error}`);
+          return { success: false, error: result.error };
         }
+        
+        const data = result.data;
+        pages++;
+        
+        // A null or empty response is an empty inventory
+        if (data === null || typeof data !== 'object') {
+          break;
+        }
+        
+        assets = assets.concat(data.assets || []);
+        descriptions = descriptions.concat(data.descriptions || []);
+        itemCount = assets.length;
+        if (typeof data.total_inventory_count === 'number') {
+          totalCount = data.total_inventory_count;
+        }
+        
+        moreItems = Boolean(data.more_items) && Boolean(data.last_assetid);
+        startAssetId = data.last_assetid;
+      } while (moreItems && pages < maxPages);
+      
+      // Stopped at the page limit: Steam's own total is the better count
+      const complete = !moreItems;
+      if (!complete) {
+        logger.warn(`${label} check for ${steamId} stopped after ${pages} pages (${itemCount} items counted)`);
+        itemCount = Math.max(itemCount, totalCount || 0);
+      }
+      
+      const details = {
+        appid,
+        contextid,
+        item_count: itemCount,
+        classes: InventoryClassifier.classify(assets, descriptions),
+        pages,
+        complete,
+        sample_items: assets.slice(0, 3)
+      };
+      details.counted_items = InventoryClassifier.countedItems(details, ignore);
+      
+      const passed = details.counted_items <= max_items;
+      logger.info(`${label} check ${passed ? 'passed' : 'failed'} for ${steamId} (found ${itemCount} items, ${details.counted_items} counted)`);
+      return {
+        success: true,
+        passed,
+        details
       };
     } catch (error) {
       // Special case for private inventories
       if (error.response && (error.response.status === 401 || error.response.status === 403)) {
-        const errorType = error.response.status === 401 ? "Unauthorized" : "Private inventory";
-        logger.info(`CS:GO inventory check for ${steamId}: ${errorType} - automatically passing`);
+        return this.privateInventoryResult(steamId, label, error.response.status);
+      }
+      
+      logger.error(`${label} check failed for ${steamId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  privateInventoryResult(steamId, label, status) {
+    const errorType = status === 401 ? "Unauthorized" : "Private inventory";
+    logger.info(`${label} check for ${steamId}: ${errorType} - automatically passing`);
+    return {
+      success: true,
+      passed: true,
+      details: { error: `${errorType} - cannot check` }
+    };
+  }
+
+  // What is kept of a GetPlayerSummaries entry (stored with the queued profile)
+  summarizePlayer(player) {
+    return {
+      // 3 = public; 1 (private) and 2 (friends only) both hide friends and inventory from us
+      visibility: player.communityvisibilitystate,
+      is_private: player.communityvisibilitystate !== 3,
+      profile_configured: player.profilestate === 1,
+      // Only visible on public profiles
+      time_created: player.timecreated || null,
+      avatar_hash: player.avatarhash || null,
+      // Two-letter country code, if the profile shows a location
+      country: player.loccountrycode || null,
+      fetched_at: Date.now()
+    };
+  }
+
+  // What is kept of a GetPlayerBans entry (stored with the queued profile)
+  summarizeBans(player) {
+    return {
+      vac_banned: player.VACBanned,
+      vac_bans: player.NumberOfVACBans,
+      game_bans: player.NumberOfGameBans,
+      days_since_last_ban: player.DaysSinceLastBan,
+      community_banned: player.CommunityBanned,
+      economy_ban: player.EconomyBan,
+      fetched_at: Date.now()
+    };
+  }
+
+  // One Web API call for up to 100 IDs. Returns { success, byId } with every
+  // requested ID mapped to its entry, or to null if Steam has no such account.
+  async fetchBatch(steamIds, url, listOf, summarize) {
+    if (!this.apiKey) {
+      return { 
+        success: false, 
+        error: "Steam API key not available (check STEAM_API_KEY environment variable)" 
+      };
+    }
+    
+    const result = await this.makeApiRequest(`${url}?key=${this.apiKey}&steamids=${steamIds.join(',')}`, false); // No proxy needed
+    
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    
+    const players = listOf(result.data || {});
+    if (!Array.isArray(players)) {
+      logger.error(`Unexpected API response format from ${url}: ${JSON.stringify(result.data)}`);
+      return { success: false, error: "Unexpected API response" };
+    }
+    
+    const byId = {};
+    for (const steamId of steamIds) {
+      byId[steamId] = null;
+    }
+    for (const player of players) {
+      byId[player.steamid || player.SteamId] = summarize(player);
+    }
+    
+    return { success: true, byId };
+  }
+
+  async fetchPlayerSummaries(steamIds) {
+    return this.fetchBatch(steamIds, 'https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v0002/',
+      data => data.response && data.response.players, player => this.summarizePlayer(player));
+  }
+
+  async fetchPlayerBans(steamIds) {
+    return this.fetchBatch(steamIds, 'https://api.steampowered.com/ISteamUser/GetPlayerBans/v1/',
+      data => data.players, player => this.summarizeBans(player));
+  }
+
+  // Batched lookups stage: for each of BATCHED_LOOKUPS, one call covers up to
+  // SUMMARY_BATCH_SIZE queued profiles that don't have it yet. Results are stored
+  // with the profiles, so the checks reading them need no requests of their own.
+  async processBatchedLookups(queueManager) {
+    // Workers all call this - only one pass at a time
+    if (this.batchRun.active) {
+      return { fetched: 0 };
+    }
+    
+    this.batchRun.active = true;
+    let fetched = 0;
+    try {
+      for (const [field, lookup] of Object.entries(BATCHED_LOOKUPS)) {
+        // Back off after a failure; the checks fetch one by one meanwhile
+        if (Date.now() < (this.batchRun.retryAfter[field] || 0)) {
+          continue;
+        }
+        
+        const profiles = await queueManager.getProfilesMissing(field, this.config.SUMMARY_BATCH_SIZE || 100);
+        if (profiles.length === 0) {
+          continue;
+        }
+        
+        const steamIds = profiles.map(profile => profile.steam_id);
+        const result = await this[lookup.fetch](steamIds);
+        
+        if (!result.success) {
+          logger.warn(`${lookup.label} for ${steamIds.length} queued profiles failed: ${result.error} - checks will fetch them one by one`);
+          this.batchRun.retryAfter[field] = Date.now() + (this.config.ERROR_DELAY || 30000);
+          continue;
+        }
+        
+        const updates = {};
+        for (const [steamId, value] of Object.entries(result.byId)) {
+          updates[steamId] = { [field]: value, ...(lookup.extraFields ? lookup.extraFields(value) : {}) };
+        }
+        
+        const updated = await queueManager.updateProfileFields(updates);
+        logger.info(`Fetched ${lookup.label.toLowerCase()} for ${updated} queued profiles in one call`);
+        fetched += updated;
+      }
+      
+      return { fetched };
+    } finally {
+      this.batchRun.active = false;
+    }
+  }
+
+  // A batched lookup (player_summary, player_bans) from the stored profile when
+  // the stage has fetched it, otherwise a single-ID call
+  async getLookup(steamId, field, lookups) {
+    if (lookups[field] !== undefined) {
+      return { success: true, value: lookups[field] };
+    }
+    
+    const result = await this[BATCHED_LOOKUPS[field].fetch]([steamId]);
+    return result.success ? { success: true, value: result.byId[steamId] } : result;
+  }
+
+  // Shared by the checks built on a batched lookup: look it up, then judge it.
+  // The result carries the lookup back so the caller can reuse it.
+  async checkFromLookup(steamId, field, lookups, label, judge) {
+    try {
+      const lookup = await this.getLookup(steamId, field, lookups);
+      
+      if (!lookup.success) {
+        logger.error(`${label} check failed for ${steamId}: ${lookup.error}`);
+        return { success: false, error: lookup.error };
+      }
+      
+      // Steam has no account with this ID - retrying won't change that, so the
+      // profile is rejected outright (see notFound in the processing loop)
+      if (!lookup.value) {
+        logger.info(`${label} check for ${steamId}: no ${BATCHED_LOOKUPS[field].label.toLowerCase()} returned, Steam ID not found`);
         return {
           success: true,
+          passed: false,
+          notFound: true,
+          details: { outcome: 'not_found', note: "Steam has no account with this ID" }
+        };
+      }
+      
+      return {
+        success: true,
+        ...judge(lookup.value),
+        lookups: { [field]: lookup.value }
+      };
+    } catch (error) {
+      logger.error(`${label} check failed for ${steamId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Passes when the account's age in days is inside [min_days, max_days]
+  async checkAccountAge(steamId, { min_days = 0, max_days = null } = {}, lookups = {}) {
+    return this.checkFromLookup(steamId, 'player_summary', lookups, 'Account age', summary => {
+      if (!summary.time_created) {
+        return {
           passed: true,
-          details: { error: `${errorType} - cannot check` }
+          details: { note: "Account creation date not visible - private profile" },
+          isPrivateProfile: summary.is_private
         };
       }
       
-      logger.error(`CS:GO inventory check failed for ${steamId}: ${error.message}`);
+      const ageDays = Math.floor((Date.now() - summary.time_created * 1000) / 86400000);
+      return {
+        passed: ageDays >= min_days && (max_days === null || ageDays <= max_days),
+        details: {
+          account_created: new Date(summary.time_created * 1000).toISOString(),
+          age_days: ageDays
+        },
+        isPrivateProfile: summary.is_private
+      };
+    });
+  }
+
+  // Passes when the owner never set up their community profile
+  async checkProfileNotSetUp(steamId, options = {}, lookups = {}) {
+    return this.checkFromLookup(steamId, 'player_summary', lookups, 'Profile setup', summary => ({
+      passed: !summary.profile_configured,
+      details: { profile_configured: summary.profile_configured },
+      isPrivateProfile: summary.is_private
+    }));
+  }
+
+  // Passes when the account still has Steam's default avatar
+  async checkDefaultAvatar(steamId, options = {}, lookups = {}) {
+    return this.checkFromLookup(steamId, 'player_summary', lookups, 'Default avatar', summary => {
+      const isDefault = summary.avatar_hash === DEFAULT_AVATAR_HASH;
+      return {
+        passed: isDefault,
+        details: { default_avatar: isDefault, avatar_hash: summary.avatar_hash },
+        isPrivateProfile: summary.is_private
+      };
+    });
+  }
+
+  // Country the profile shows against the rule set's allow/deny lists (see
+  // locationCheck in the CheckRegistry). Without a country the no_country policy
+  // applies; 'review' passes and marks the result so the submission is flagged.
+  async checkLocation(steamId, options = {}, lookups = {}) {
+    return this.checkFromLookup(steamId, 'player_summary', lookups, 'Location', summary => {
+      const details = { country: summary.country || null };
+      
+      if (!details.country) {
+        details.no_country = options.no_country ?? (this.config.LOCATION_FILTER || {}).no_country ?? 'pass';
+      }
+      
+      return {
+        passed: this.checkRegistry.judge('location', { details }, options),
+        details,
+        isPrivateProfile: summary.is_private
+      };
+    });
+  }
+
+  // VAC, game, community and economy bans against the rule set's limits (see
+  // the 'bans' entry of the CheckRegistry for the rules and their defaults)
+  async checkBans(steamId, options = {}, lookups = {}) {
+    return this.checkFromLookup(steamId, 'player_bans', lookups, 'Bans', bans => {
+      const { fetched_at, ...details } = bans;
+      return {
+        passed: this.checkRegistry.judge('bans', { details }, options),
+        details
+      };
+    });
+  }
+
+  // Resolve a steamcommunity.com/id/<vanity> name to a SteamID64.
+  // Returns { success: true, steamId } - steamId is null if no profile uses that name.
+  async resolveVanityUrl(vanityName) {
+    try {
+      if (!this.apiKey) {
+        return { 
+          success: false, 
+          error: "Steam API key not available (check STEAM_API_KEY environment variable)" 
+        };
+      }
+      
+      const url = `https://api.steampowered.com/ISteamUser/ResolveVanityURL/v1/?key=${this.apiKey}&vanityurl=${encodeURIComponent(vanityName)}`;
+      // No proxy needed. Own rate limit slot, so bulk submissions resolving
+      // many names don't take the slot the queue workers' checks use.
+      const result = await this.makeApiRequest(url, false, {
+        rateLimitKey: 'vanity',
+        callInterval: this.config.VANITY_RESOLVE_INTERVAL ?? this.minApiCallInterval
+      });
+      
+      if (!result.success) {
+        logger.error(`Vanity URL resolution failed for '${vanityName}': ${result.error}`);
+        return { success: false, error: result.error };
+      }
+      
+      const data = result.data;
+      
+      if (data.response) {
+        // success 1 = match, 42 = no match
+        if (data.response.success === 1 && data.response.steamid) {
+          return { success: true, steamId: data.response.steamid };
+        }
+        
+        if (data.response.success === 42) {
+          return { success: true, steamId: null };
+        }
+      }
+      
+      logger.error(`Unexpected API response format for vanity URL resolution: ${JSON.stringify(data)}`);
+      return { success: false, error: "Unexpected API response" };
+    } catch (error) {
+      logger.error(`Vanity URL resolution failed for '${vanityName}': ${error.message}`);
       return { success: false, error: error.message };
     }
   }
@@ -585,6 +1240,23 @@ class SteamValidator {
 
   // Method to process deferred checks when connections become available
   async processDeferredChecks(queueManager) {
+    // Workers and the status loop all call this - only one pass at a time
+    if (this.deferredRun.active) {
+      return {
+        processed: 0,
+        remaining: this.deferredChecks.size
+      };
+    }
+    
+    this.deferredRun.active = true;
+    try {
+      return await this.runDeferredChecks(queueManager);
+    } finally {
+      this.deferredRun.active = false;
+    }
+  }
+
+  async runDeferredChecks(queueManager) {
     const status = this.proxyManager.getConnectionStatus();
     
     if (status.availableConnections === 0) {
@@ -601,19 +1273,17 @@ class SteamValidator {
     const deferredEntries = Array.from(this.deferredChecks.entries());
     
     for (const [steamId, checkTypes] of deferredEntries) {
+      // Thresholds come from the rule set the profile was queued with
+      const profile = await queueManager.getProfileBySteamId(steamId);
+      
       for (const checkType of checkTypes) {
-        let result;
-        
-        // Run the appropriate check
-        if (checkType === 'friends') {
-          result = await this.checkFriends(steamId);
-        } else if (checkType === 'csgo_inventory') {
-          result = await this.checkCsgoInventory(steamId);
-        }
+        const checkStartedAt = Date.now();
+        const options = profile ? queueManager.ruleSets.checkOptions(profile, checkType) : {};
+        const result = await this.checkRegistry.run(this, checkType, steamId, options);
         
         // If check was successful, update queue and remove from deferred
         if (result.success) {
-          await queueManager.updateProfileCheck(steamId, checkType, result.passed ? "passed" : "failed");
+          await queueManager.updateProfileCheck(steamId, checkType, result.passed ? "passed" : "failed", this.summarizeCheckResult(result, checkStartedAt));
           this.clearDeferredCheck(steamId, checkType);
           processed++;
         } else if (result.deferred) {
@@ -642,6 +1312,69 @@ class SteamValidator {
     };
   }
 
+  // What gets kept about a completed check (stored with the queued profile, then in the verdict)
+  summarizeCheckResult(result, startedAt) {
+    const checkedAt = Date.now();
+    return {
+      passed: result.passed,
+      details: result.details || {},
+      checked_at: checkedAt,
+      duration_ms: checkedAt - startedAt
+    };
+  }
+
+  // Run checks for one ID without touching the queue or the deferred list
+  // (POST /api/evaluate). checks: checkName -> thresholds, run in that order.
+  // Each result lists the requests it made and the connection that served them.
+  async dryRun(steamId, checks) {
+    const runner = this.forDryRun();
+    const results = {};
+    let isPrivateProfile = false;
+    const lookups = {};
+    
+    try {
+      for (const [checkName, options] of Object.entries(checks)) {
+        // Same shortcut the queue takes once a profile is known to be private
+        if (isPrivateProfile && this.checkRegistry.autoPassesOnPrivateProfile(checkName)) {
+          results[checkName] = {
+            success: true,
+            passed: true,
+            details: { note: "Auto-passed - private profile" },
+            error: null,
+            latency_ms: 0,
+            calls: []
+          };
+          continue;
+        }
+        
+        const firstCall = runner.callLog.length;
+        const startedAt = Date.now();
+        const result = await this.checkRegistry.run(runner, checkName, steamId, options, { defer: false, lookups });
+        
+        if (result.success && result.isPrivateProfile) {
+          isPrivateProfile = true;
+        }
+        
+        // The first check needing a lookup fetches it, the others reuse it
+        Object.assign(lookups, result.lookups);
+        
+        results[checkName] = {
+          success: result.success,
+          passed: result.success ? result.passed : null,
+          details: result.details || {},
+          error: result.error || null,
+          ...(result.deferred ? { deferred: true, next_available_in_ms: result.nextAvailableIn } : {}),
+          latency_ms: Date.now() - startedAt,
+          calls: runner.callLog.slice(firstCall)
+        };
+      }
+    } finally {
+      this.proxyManager.releaseConnection(runner.workerId);
+    }
+    
+    return results;
+  }
+
   // Helper method to calculate final results
   calculateResults(steamId, checks) {
     // Calculate final results
@@ -0,0 +1,141 @@
+// src/utils/file-lock.js
+const fs = require('fs-extra');
+const logger = require('./logger');
+
+// Advisory cross-process lock based on exclusive creation of a lock file.
+// The file holds the owner's pid so locks left behind by a crashed process
+// can be detected and broken. A live owner's lock is only broken past staleMs,
+// which is far above any real hold time and only covers pid reuse.
+class FileLock {
+  constructor(lockPath, { staleMs = 10 * 60 * 1000, retryDelay = 50, timeout = 10000 } = {}) {
+    this.lockPath = lockPath;
+    this.staleMs = staleMs;
+    this.retryDelay = retryDelay;
+    this.timeout = timeout;
+  }
+
+  async acquire() {
+    const startTime = Date.now();
+
+    while (true) {
+      try {
+        await this.createLockFile(this.lockPath);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this.breakIfStale()) {
+        continue;
+      }
+
+      if (Date.now() - startTime > this.timeout) {
+        throw new Error(`Timed out after ${this.timeout}ms waiting for lock ${this.lockPath}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+    }
+  }
+
+  async release() {
+    try {
+      await fs.unlink(this.lockPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error releasing lock ${this.lockPath}: ${error.message}`);
+      }
+    }
+  }
+
+  async withLock(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      await this.release();
+    }
+  }
+
+  // Exclusively create a lock file owned by this process (EEXIST if taken)
+  async createLockFile(lockPath) {
+    const fd = await fs.open(lockPath, 'wx');
+    try {
+      await fs.write(fd, JSON.stringify({ pid: process.pid, acquired_at: Date.now() }));
+    } finally {
+      await fs.close(fd);
+    }
+  }
+
+  // { pid, acquired_at } from a lock file, or null if it is gone or still being written
+  async readOwner(lockPath) {
+    try {
+      return JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Remove the lock file if its owner is gone (or has held it past staleMs).
+  // Several waiters can see the same stale lock; if each removed it, one could
+  // remove the fresh lock another took after breaking it. Breaking is therefore
+  // serialized through a second lock file, and the lock is re-read under it and
+  // only removed if it still belongs to the owner that was judged stale.
+  async breakIfStale() {
+    const owner = await this.readOwner(this.lockPath);
+    if (!owner) {
+      // Vanished (released) or still being written by its owner - just retry
+      return !(await fs.pathExists(this.lockPath));
+    }
+
+    const ownerAlive = this.isProcessAlive(owner.pid);
+    const heldFor = Date.now() - (owner.acquired_at || 0);
+
+    if (ownerAlive && heldFor < this.staleMs) {
+      return false;
+    }
+
+    const breakPath = `${this.lockPath}.break`;
+    try {
+      await this.createLockFile(breakPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      // Another waiter is breaking it - unless that waiter died while doing so
+      const breaker = await this.readOwner(breakPath);
+      if (breaker && !this.isProcessAlive(breaker.pid)) {
+        await fs.unlink(breakPath).catch(() => {});
+      }
+      return false;
+    }
+
+    try {
+      const current = await this.readOwner(this.lockPath);
+      if (!current || current.pid !== owner.pid || current.acquired_at !== owner.acquired_at) {
+        return false;
+      }
+
+      logger.warn(`Breaking stale lock ${this.lockPath} (pid ${owner.pid}, ${ownerAlive ? `held ${heldFor}ms` : 'process gone'})`);
+      await fs.unlink(this.lockPath).catch(() => {});
+      return true;
+    } finally {
+      await fs.unlink(breakPath).catch(() => {});
+    }
+  }
+
+  isProcessAlive(pid) {
+    if (!pid) return false;
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to someone else
+      return error.code === 'EPERM';
+    }
+  }
+}
+
+module.exports = FileLock;
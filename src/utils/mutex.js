@@ -0,0 +1,23 @@
+// src/utils/mutex.js
+
+// Minimal promise-based mutex: callers run one at a time in arrival order
+class Mutex {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  async runExclusive(fn) {
+    const previous = this.tail;
+    let release;
+    this.tail = new Promise(resolve => { release = resolve; });
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+}
+
+module.exports = Mutex;
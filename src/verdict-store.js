@@ -0,0 +1,191 @@
+// src/verdict-store.js
+const logger = require('./utils/logger');
+const JournalStore = require('./journal-store');
+
+// decided_by of verdicts no single check decided
+const DECIDED_BY_RULE_SET = 'rule_set';
+
+// History of every profile that finished processing: the outcome, the check
+// that decided it and the details each SteamValidator check returned.
+// Used to answer harvester disputes and to tune thresholds.
+class VerdictStore {
+  constructor(config) {
+    this.config = config;
+    this.retentionMs = config.VERDICT_RETENTION_MS || null;
+    this.store = new JournalStore({
+      name: 'Verdict store',
+      snapshotPath: config.VERDICT_SNAPSHOT_PATH,
+      journalPath: config.VERDICT_JOURNAL_PATH,
+      keyField: 'id',
+      compactThreshold: config.QUEUE_COMPACT_THRESHOLD,
+      lockPath: config.VERDICT_LOCK_PATH,
+      lockOptions: { staleMs: config.QUEUE_LOCK_STALE_MS, timeout: config.QUEUE_LOCK_TIMEOUT }
+    });
+  }
+
+  // outcome: 'accepted', 'rejected', 'duplicate', 'submission_failed' or 'errored'.
+  // decidedBy is the check whose result settled the rule set, or DECIDED_BY_RULE_SET
+  // if none did on its own (null for errored profiles the rule set never decided).
+  // score is the ProfileScorer result for rule sets in scoring mode.
+  // shadow is the shadow rule set comparison (RuleSetRegistry.compareWithShadow)
+  async record(profile, { outcome, decidedBy = null, reason = null, score = null, shadow = null }) {
+    const decidedAt = Date.now();
+    const checkResults = profile.check_results || {};
+
+    const checks = {};
+    for (const [checkName, status] of Object.entries(profile.checks)) {
+      checks[checkName] = {
+        status,
+        ...(checkResults[checkName] || {})
+      };
+    }
+
+    const verdict = {
+      id: `${profile.steam_id}:${decidedAt}`,
+      steam_id: profile.steam_id,
+      username: profile.username,
+      rule_set: profile.rule_set || null,
+      is_private: profile.is_private ?? null,
+      outcome,
+      decided_by: decidedBy,
+      reason,
+      score,
+      shadow,
+      checks,
+      attempts: profile.attempts || 0,
+      enqueued_at: profile.timestamp,
+      decided_at: decidedAt,
+      processing_ms: profile.timestamp ? decidedAt - profile.timestamp : null
+    };
+
+    try {
+      await this.store.withLock(() => this.store.put(verdict));
+      logger.debug(`Recorded verdict '${outcome}' for ${profile.steam_id} (user: ${profile.username || 'unknown'})`);
+    } catch (error) {
+      // History is best-effort - never let it stall queue processing
+      logger.error(`Error recording verdict for ${profile.steam_id}: ${error.message}`);
+    }
+
+    return verdict;
+  }
+
+  // All verdicts for a Steam ID, newest first
+  async findBySteamId(steamId) {
+    this.store.refresh();
+    return this.store.values()
+      .filter(verdict => verdict.steam_id === steamId)
+      .sort((a, b) => b.decided_at - a.decided_at);
+  }
+
+  // Newest first
+  async list({ username = null, outcome = null, decidedBy = null, page = 1, pageSize = 50 } = {}) {
+    this.store.refresh();
+    const verdicts = this.store.values()
+      .filter(verdict =>
+        (!username || verdict.username === username) &&
+        (!outcome || verdict.outcome === outcome) &&
+        (!decidedBy || verdict.decided_by === decidedBy)
+      )
+      .sort((a, b) => b.decided_at - a.decided_at);
+
+    const start = (page - 1) * pageSize;
+    return {
+      total: verdicts.length,
+      page,
+      pageSize,
+      verdicts: verdicts.slice(start, start + pageSize)
+    };
+  }
+
+  // How often each shadow rule set disagreed with the active one, per
+  // active/shadow pair. Disagreements are also counted under every check whose
+  // outcome changed with the shadow thresholds; the ones no check explains
+  // (different accept expression or scoring) are counted as rule_logic.
+  async shadowSummary({ ruleSet = null, since = null } = {}) {
+    this.store.refresh();
+    const pairs = new Map();
+
+    for (const verdict of this.store.values()) {
+      if (!verdict.shadow ||
+          (ruleSet && verdict.rule_set !== ruleSet) ||
+          (since && verdict.decided_at < since)) {
+        continue;
+      }
+
+      const key = `${verdict.rule_set}:${verdict.shadow.rule_set}`;
+      if (!pairs.has(key)) {
+        pairs.set(key, {
+          rule_set: verdict.rule_set,
+          shadow_rule_set: verdict.shadow.rule_set,
+          compared: 0,
+          agreed: 0,
+          disagreed: 0,
+          undecided: 0,
+          accepted_to_rejected: 0,
+          rejected_to_accepted: 0,
+          by_check: {},
+          rule_logic: 0
+        });
+      }
+
+      const summary = pairs.get(key);
+      summary.compared++;
+
+      if (verdict.shadow.agrees === null) {
+        summary.undecided++;
+        continue;
+      }
+
+      if (verdict.shadow.agrees) {
+        summary.agreed++;
+        continue;
+      }
+
+      summary.disagreed++;
+      if (verdict.shadow.outcome === 'rejected') {
+        summary.accepted_to_rejected++;
+      } else {
+        summary.rejected_to_accepted++;
+      }
+
+      if (verdict.shadow.differing_checks.length === 0) {
+        summary.rule_logic++;
+      }
+
+      for (const checkName of verdict.shadow.differing_checks) {
+        summary.by_check[checkName] = (summary.by_check[checkName] || 0) + 1;
+      }
+    }
+
+    return Array.from(pairs.values()).map(summary => ({
+      ...summary,
+      disagreement_rate: summary.compared - summary.undecided > 0
+        ? Math.round(summary.disagreed / (summary.compared - summary.undecided) * 1000) / 1000
+        : null
+    }));
+  }
+
+  // Drop verdicts older than VERDICT_RETENTION_MS
+  async prune() {
+    if (!this.retentionMs) {
+      return 0;
+    }
+
+    return this.store.withLock(async () => {
+      const cutoff = Date.now() - this.retentionMs;
+      const keep = this.store.values().filter(verdict => verdict.decided_at >= cutoff);
+      const pruned = this.store.size - keep.length;
+
+      if (pruned > 0) {
+        await this.store.replaceAll(keep);
+        logger.info(`Pruned ${pruned} verdicts older than ${Math.round(this.retentionMs / 86400000)} days`);
+      }
+
+      return pruned;
+    });
+  }
+}
+
+VerdictStore.DECIDED_BY_RULE_SET = DECIDED_BY_RULE_SET;
+
+module.exports = VerdictStore;
@@ -0,0 +1,91 @@
+// test/check-registry.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const CheckRegistry = require('../src/check-registry');
+
+const judge = (checkRegistry, name, details, options = {}) => checkRegistry.judge(name, { details }, options);
+
+test('ban rules', () => {
+  const checkRegistry = new CheckRegistry({});
+  const clean = { vac_bans: 0, game_bans: 0, days_since_last_ban: 0, community_banned: false, economy_ban: 'none' };
+  const vacBanned = { ...clean, vac_bans: 1, days_since_last_ban: 100 };
+
+  assert.strictEqual(judge(checkRegistry, 'bans', clean), true);
+  assert.strictEqual(judge(checkRegistry, 'bans', vacBanned), false);
+  assert.strictEqual(judge(checkRegistry, 'bans', { ...clean, game_bans: 2 }, { max_game_bans: 1 }), false);
+  assert.strictEqual(judge(checkRegistry, 'bans', vacBanned, { max_vac_bans: 1 }), true);
+
+  // With bans allowed, the last one must be old enough
+  assert.strictEqual(judge(checkRegistry, 'bans', vacBanned, { max_vac_bans: 1, min_days_since_last_ban: 365 }), false);
+  assert.strictEqual(judge(checkRegistry, 'bans', { ...vacBanned, days_since_last_ban: 400 }, { max_vac_bans: 1, min_days_since_last_ban: 365 }), true);
+  assert.strictEqual(judge(checkRegistry, 'bans', clean, { min_days_since_last_ban: 365 }), true);
+
+  assert.strictEqual(judge(checkRegistry, 'bans', { ...clean, community_banned: true }), false);
+  assert.strictEqual(judge(checkRegistry, 'bans', { ...clean, community_banned: true }, { allow_community_ban: true }), true);
+  assert.strictEqual(judge(checkRegistry, 'bans', { ...clean, economy_ban: 'probation' }), false);
+  assert.strictEqual(judge(checkRegistry, 'bans', { ...clean, economy_ban: 'probation' }, { allowed_economy_bans: ['none', 'probation'] }), true);
+});
+
+test('game library rules, with thresholds from the config unless the rule set sets them', () => {
+  const checkRegistry = new CheckRegistry({ GAME_LIBRARY_THRESHOLDS: { max_games: 5, on_hidden: 'fail' } });
+  const hidden = { outcome: 'hidden' };
+
+  assert.strictEqual(judge(checkRegistry, 'owned_games', { outcome: 'visible', game_count: 5 }), true);
+  assert.strictEqual(judge(checkRegistry, 'owned_games', { outcome: 'visible', game_count: 6 }), false);
+  assert.strictEqual(judge(checkRegistry, 'owned_games', { outcome: 'visible', game_count: 6 }, { max_games: 10 }), true);
+
+  // Built-in defaults for what the config leaves out
+  assert.strictEqual(judge(checkRegistry, 'cs2_playtime', { outcome: 'visible', playtime_hours: 100, recent_playtime_hours: 20 }), true);
+  assert.strictEqual(judge(checkRegistry, 'cs2_playtime', { outcome: 'visible', playtime_hours: 101, recent_playtime_hours: 0 }), false);
+  assert.strictEqual(judge(checkRegistry, 'cs2_playtime', { outcome: 'visible', playtime_hours: 50, recent_playtime_hours: 21 }), false);
+
+  assert.strictEqual(judge(checkRegistry, 'owned_games', hidden), false);
+  assert.strictEqual(judge(checkRegistry, 'cs2_playtime', hidden, { on_hidden: 'pass' }), true);
+  assert.strictEqual(judge(new CheckRegistry({}), 'owned_games', hidden), true);
+
+  assert.throws(() => checkRegistry.validateOptions('owned_games', { on_hidden: 'review' }), /"on_hidden" must be one of pass, fail/);
+  assert.throws(() => new CheckRegistry({ GAME_LIBRARY_THRESHOLDS: { on_hidden: 'skip' } }).validateOptions('cs2_playtime', {}), /on_hidden/);
+});
+
+test('group rules match blocked groups given by 64-bit or 32-bit ID', () => {
+  const checkRegistry = new CheckRegistry({});
+  // GetUserGroupList reports 32-bit IDs; 103582791429521408 + 4 is the same group's 64-bit ID
+  const details = { group_count: 2, groups: ['4', '1234'] };
+
+  assert.strictEqual(judge(checkRegistry, 'groups', details), true);
+  assert.strictEqual(judge(checkRegistry, 'groups', details, { blocked_groups: ['103582791429521412'] }), false);
+  assert.strictEqual(judge(checkRegistry, 'groups', details, { blocked_groups: ['1234'] }), false);
+  assert.strictEqual(judge(checkRegistry, 'groups', details, { blocked_groups: [1234] }), false);
+  assert.strictEqual(judge(checkRegistry, 'groups', details, { blocked_groups: ['103582791429521413'] }), true);
+
+  assert.strictEqual(judge(checkRegistry, 'groups', { group_count: 10, groups: [] }), true);
+  assert.strictEqual(judge(checkRegistry, 'groups', { group_count: 11, groups: [] }), false);
+  assert.strictEqual(judge(checkRegistry, 'groups', { group_count: 11, groups: [] }, { max_groups: 20 }), true);
+
+  assert.strictEqual(judge(checkRegistry, 'groups', { outcome: 'hidden' }), true);
+  assert.strictEqual(judge(checkRegistry, 'groups', { outcome: 'hidden' }, { on_hidden: 'fail' }), false);
+
+  assert.throws(() => checkRegistry.validateOptions('groups', { blocked_groups: '103582791429521412' }), /must be a list of group IDs/);
+  assert.throws(() => checkRegistry.validateOptions('groups', { blocked_groups: [103582791429521412] }), /must be a list of group IDs/);
+  assert.throws(() => checkRegistry.validateOptions('groups', { on_hidden: 'review' }), /"on_hidden" must be one of pass, fail/);
+});
+
+test('location rules fold country case and let denied countries win', () => {
+  const checkRegistry = new CheckRegistry({ LOCATION_FILTER: { denied_countries: ['ru'] } });
+
+  assert.strictEqual(judge(checkRegistry, 'location', { country: 'DE' }), true);
+  assert.strictEqual(judge(checkRegistry, 'location', { country: 'RU' }), false);
+  assert.strictEqual(judge(checkRegistry, 'location', { country: 'de' }, { allowed_countries: ['DE', 'AT'] }), true);
+  assert.strictEqual(judge(checkRegistry, 'location', { country: 'US' }, { allowed_countries: ['de', 'at'] }), false);
+  assert.strictEqual(judge(checkRegistry, 'location', { country: 'RU' }, { allowed_countries: ['RU'] }), false);
+  assert.strictEqual(judge(checkRegistry, 'location', { country: 'RU' }, { denied_countries: [] }), true);
+
+  for (const [noCountry, passes] of [['pass', true], ['review', true], ['fail', false]]) {
+    assert.strictEqual(judge(checkRegistry, 'location', { country: null }, { no_country: noCountry }), passes, noCountry);
+  }
+  assert.strictEqual(judge(checkRegistry, 'location', { country: null }), true);
+
+  assert.throws(() => checkRegistry.validateOptions('location', { allowed_countries: ['Germany'] }), /two-letter country codes/);
+  assert.throws(() => checkRegistry.validateOptions('location', { denied_countries: 'RU' }), /two-letter country codes/);
+  assert.throws(() => checkRegistry.validateOptions('location', { no_country: 'ignore' }), /"no_country" must be one of pass, fail, review/);
+});
@@ -0,0 +1,77 @@
+// test/dead-letter-store.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DeadLetterStore = require('../src/dead-letter-store');
+const QueueManager = require('../src/queue-manager');
+
+function testConfig(dir) {
+  return {
+    DEAD_LETTER_SNAPSHOT_PATH: path.join(dir, 'dead_letters.snapshot.json'),
+    DEAD_LETTER_JOURNAL_PATH: path.join(dir, 'dead_letters.journal'),
+    DEAD_LETTER_LOCK_PATH: path.join(dir, 'dead_letters.lock'),
+    QUEUE_PATH: path.join(dir, 'profiles_queue.json'),
+    QUEUE_SNAPSHOT_PATH: path.join(dir, 'profiles_queue.snapshot.json'),
+    QUEUE_JOURNAL_PATH: path.join(dir, 'profiles_queue.journal'),
+    QUEUE_LOCK_PATH: path.join(dir, 'profiles_queue.lock')
+  };
+}
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dead-letter-store-test-'));
+  // Dead-lettering warns and the queue logs on the console
+  const { warn, log } = console;
+  console.warn = () => {};
+  console.log = () => {};
+  try {
+    return await fn(dir);
+  } finally {
+    console.warn = warn;
+    console.log = log;
+    await fs.remove(dir);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('replay puts the profile back on the queue with fresh attempts', () => withTempDir(async dir => {
+  const deadLetterStore = new DeadLetterStore(testConfig(dir));
+  const queueManager = new QueueManager(testConfig(dir));
+  const profile = {
+    steam_id: '76561197960287930',
+    username: 'harvester',
+    checks: { steam_level: 'passed', friends: 'deferred' },
+    state: 'errored',
+    attempts: 5,
+    last_error: 'socket hang up'
+  };
+
+  await deadLetterStore.add(profile, profile.last_error, 'errored');
+  const replayed = await deadLetterStore.replay(profile.steam_id, queueManager);
+
+  assert.strictEqual(replayed.attempts, 0);
+  assert.strictEqual(replayed.state, undefined);
+  assert.deepStrictEqual(replayed.checks, { steam_level: 'passed', friends: 'to_check' });
+  assert.ok(await queueManager.getProfileBySteamId(profile.steam_id));
+  assert.strictEqual(await deadLetterStore.get(profile.steam_id), null);
+  assert.strictEqual(await deadLetterStore.replay(profile.steam_id, queueManager), null);
+}));
+
+test('purge with before only drops entries dead-lettered earlier', () => withTempDir(async dir => {
+  const deadLetterStore = new DeadLetterStore(testConfig(dir));
+  const profile = steamId => ({ steam_id: steamId, username: 'harvester', checks: {} });
+
+  await deadLetterStore.add(profile('old'), 'Invalid Steam ID format', 'submission_failed');
+  await sleep(5);
+  const before = Date.now();
+  await sleep(5);
+  await deadLetterStore.add(profile('new'), 'Invalid Steam ID format', 'submission_failed');
+
+  assert.strictEqual(await deadLetterStore.purge({ before }), 1);
+  assert.deepStrictEqual((await deadLetterStore.list()).entries.map(entry => entry.steam_id), ['new']);
+
+  assert.strictEqual(await deadLetterStore.purge(), 1);
+  assert.strictEqual((await deadLetterStore.list()).total, 0);
+}));
@@ -0,0 +1,83 @@
+// test/file-lock.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const FileLock = require('../src/utils/file-lock');
+
+// pid of a process that has already exited
+function deadPid() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', '']);
+    child.on('error', reject);
+    child.on('exit', () => resolve(child.pid));
+  });
+}
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-lock-test-'));
+  // Stale lock breaking warns on the console
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn(dir);
+  } finally {
+    console.warn = warn;
+    await fs.remove(dir);
+  }
+}
+
+test('breaks a lock left behind by a process that is gone', () => withTempDir(async dir => {
+  const lockPath = path.join(dir, 'test.lock');
+  await fs.writeFile(lockPath, JSON.stringify({ pid: await deadPid(), acquired_at: Date.now() }));
+
+  const lock = new FileLock(lockPath, { timeout: 1000 });
+  await lock.acquire();
+
+  assert.strictEqual(JSON.parse(await fs.readFile(lockPath, 'utf8')).pid, process.pid);
+  await lock.release();
+}));
+
+test('does not break the lock of a live owner', () => withTempDir(async dir => {
+  const lockPath = path.join(dir, 'test.lock');
+  const owner = { pid: process.ppid, acquired_at: Date.now() - 60 * 1000 };
+  await fs.writeFile(lockPath, JSON.stringify(owner));
+
+  const lock = new FileLock(lockPath, { timeout: 200 });
+  await assert.rejects(lock.acquire(), /Timed out/);
+
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(lockPath, 'utf8')), owner);
+}));
+
+test('a slow waiter does not break the lock another waiter took after breaking the stale one', () => withTempDir(async dir => {
+  const lockPath = path.join(dir, 'test.lock');
+  await fs.writeFile(lockPath, JSON.stringify({ pid: await deadPid(), acquired_at: Date.now() }));
+
+  // Reads the stale owner, then stalls before acting on it
+  class SlowLock extends FileLock {
+    async readOwner(lockPath) {
+      const owner = await super.readOwner(lockPath);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      return owner;
+    }
+  }
+
+  let holders = 0;
+  let maxHolders = 0;
+  const hold = async () => {
+    holders++;
+    maxHolders = Math.max(maxHolders, holders);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    holders--;
+  };
+
+  await Promise.all([
+    new SlowLock(lockPath, { retryDelay: 5, timeout: 5000 }).withLock(hold),
+    new FileLock(lockPath, { retryDelay: 5, timeout: 5000 }).withLock(hold)
+  ]);
+
+  assert.strictEqual(maxHolders, 1);
+  assert.ok(!(await fs.pathExists(lockPath)));
+}));
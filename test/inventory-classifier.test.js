@@ -0,0 +1,103 @@
+// test/inventory-classifier.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const InventoryClassifier = require('../src/inventory-classifier');
+
+const UNTRADABLE = [{ marketable: false, tradable: false }];
+
+const descriptions = {
+  case: {
+    classid: '1', instanceid: '0', marketable: 1, tradable: 1,
+    tags: [{ category: 'Type', internal_name: 'CSGO_Type_WeaponCase' }, { category: 'Rarity', internal_name: 'Rarity_Common' }]
+  },
+  medal: {
+    classid: '2', instanceid: '0', marketable: 0, tradable: 0,
+    tags: [{ category: 'Type', internal_name: 'CSGO_Type_Collectible' }]
+  },
+  // No Type tag - falls back to the type text
+  pass: { classid: '3', instanceid: '7', marketable: 0, tradable: 1, type: 'Operation Pass' }
+};
+
+function assets(description, count) {
+  return Array.from({ length: count }, () => ({ classid: description.classid, instanceid: description.instanceid }));
+}
+
+test('classify groups assets by class, largest first', () => {
+  const classes = InventoryClassifier.classify(
+    [...assets(descriptions.medal, 1), ...assets(descriptions.case, 3), ...assets(descriptions.pass, 2), { classid: '9', instanceid: '0' }],
+    Object.values(descriptions)
+  );
+
+  assert.deepStrictEqual(classes, [
+    { marketable: true, tradable: true, type: 'CSGO_Type_WeaponCase', rarity: 'Rarity_Common', count: 3 },
+    { marketable: false, tradable: true, type: 'Operation Pass', rarity: null, count: 2 },
+    { marketable: false, tradable: false, type: 'CSGO_Type_Collectible', rarity: null, count: 1 },
+    // Asset without a description
+    { marketable: null, tradable: null, type: null, rarity: null, count: 1 }
+  ]);
+});
+
+test('an item is ignored only if it matches every field of a matcher', () => {
+  const medal = InventoryClassifier.describe(descriptions.medal);
+  const pass = InventoryClassifier.describe(descriptions.pass);
+
+  assert.ok(InventoryClassifier.isIgnored(medal, UNTRADABLE));
+  assert.ok(!InventoryClassifier.isIgnored(pass, UNTRADABLE));
+  assert.ok(InventoryClassifier.isIgnored(pass, [...UNTRADABLE, { type: 'Operation Pass' }]));
+  assert.ok(!InventoryClassifier.isIgnored(medal, [{}]));
+});
+
+test('countedItems leaves ignored classes out and counts unclassified items', () => {
+  const classes = InventoryClassifier.classify(
+    [...assets(descriptions.case, 3), ...assets(descriptions.medal, 2)],
+    Object.values(descriptions)
+  );
+
+  assert.strictEqual(InventoryClassifier.countedItems({ item_count: 5, classes }, UNTRADABLE), 3);
+  assert.strictEqual(InventoryClassifier.countedItems({ item_count: 5, classes }), 5);
+  // Stopped at the page limit: Steam's total has 100 more items than were classified
+  assert.strictEqual(InventoryClassifier.countedItems({ item_count: 105, classes }, UNTRADABLE), 103);
+  // Recorded before classification
+  assert.strictEqual(InventoryClassifier.countedItems({ item_count: 4 }, UNTRADABLE), 4);
+});
+
+test('validateIgnore only accepts non-empty matchers over the known fields', () => {
+  InventoryClassifier.validateIgnore([...UNTRADABLE, { type: 'CSGO_Type_WeaponCase', rarity: 'Rarity_Common' }]);
+
+  assert.throws(() => InventoryClassifier.validateIgnore({ marketable: false }), /must be a list/);
+  assert.throws(() => InventoryClassifier.validateIgnore([{}]), /Invalid item class matcher/);
+  assert.throws(() => InventoryClassifier.validateIgnore([{ name: 'Coin' }]), /Invalid item class matcher/);
+  assert.throws(() => InventoryClassifier.validateIgnore(['untradable']), /Invalid item class matcher/);
+});
+
+test('checkInventory classifies items from every page it follows', async () => {
+  const SteamValidator = require('../src/steam-validator');
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    const pages = [
+      { assets: assets(descriptions.case, 2), descriptions: [descriptions.case], more_items: 1, last_assetid: 'a2', total_inventory_count: 7 },
+      { assets: assets(descriptions.medal, 2), descriptions: [descriptions.medal], more_items: 1, last_assetid: 'a4', total_inventory_count: 7 },
+      { assets: assets(descriptions.case, 1), descriptions: [], more_items: 1, last_assetid: 'a5', total_inventory_count: 7 }
+    ];
+    const validator = new SteamValidator({ INVENTORY_MAX_PAGES: 3 });
+    const urls = [];
+    validator.makeApiRequest = async url => {
+      urls.push(url);
+      return { success: true, data: pages[urls.length - 1] };
+    };
+
+    const result = await validator.checkInventory('76561197960287930', { max_items: 5, ignore: UNTRADABLE });
+
+    assert.strictEqual(urls.length, 3);
+    assert.ok(urls[2].endsWith('&start_assetid=a4'));
+    assert.strictEqual(result.details.complete, false);
+    assert.strictEqual(result.details.item_count, 7);
+    // 3 cases counted, 2 medals ignored, 2 items past the page limit counted
+    assert.strictEqual(result.details.counted_items, 5);
+    assert.strictEqual(result.passed, true);
+  } finally {
+    console.log = log;
+  }
+});
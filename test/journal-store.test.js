@@ -0,0 +1,98 @@
+// test/journal-store.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JournalStore = require('../src/journal-store');
+
+// A store on the files in dir, compacting often so the instances also
+// compact while the other one is writing
+function openStore(dir) {
+  return new JournalStore({
+    name: 'Test store',
+    snapshotPath: path.join(dir, 'records.snapshot.json'),
+    journalPath: path.join(dir, 'records.journal'),
+    keyField: 'id',
+    compactThreshold: 5,
+    lockPath: path.join(dir, 'records.lock'),
+    lockOptions: { retryDelay: 5 }
+  });
+}
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-store-test-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('withLock serializes read-modify-writes of instances sharing the files', () => withTempDir(async dir => {
+  const stores = [openStore(dir), openStore(dir)];
+  const incrementsPerStore = 20;
+
+  // Each increment reads the counter, yields, then writes it back - without
+  // the lock the instances would overwrite each other's increments
+  const increment = store => store.withLock(async () => {
+    const counter = store.get('counter') || { id: 'counter', value: 0 };
+    await new Promise(resolve => setImmediate(resolve));
+    await store.put({ ...counter, value: counter.value + 1 });
+  });
+
+  await Promise.all(stores.map(async (store, index) => {
+    for (let i = 0; i < incrementsPerStore; i++) {
+      await increment(store);
+      await store.withLock(() => store.put({ id: `record-${index}-${i}` }));
+    }
+  }));
+
+  const reloaded = openStore(dir);
+  assert.strictEqual(reloaded.get('counter').value, 2 * incrementsPerStore);
+  assert.strictEqual(reloaded.size, 1 + 2 * incrementsPerStore);
+}));
+
+test('a load that overlaps another instance\'s compaction still sees every record', () => withTempDir(async dir => {
+  const writer = openStore(dir);
+  const files = [writer.snapshotPath, writer.journalPath];
+  const copyFiles = (from, to) => files.forEach(file => fs.copySync(path.join(from, path.basename(file)), path.join(to, path.basename(file))));
+
+  // Before: a snapshot and one journal entry. After: both folded into a newer
+  // snapshot with one more entry in the truncated journal.
+  for (let i = 1; i <= 6; i++) {
+    await writer.put({ id: `record-${i}` });
+  }
+  const before = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-store-test-'));
+  copyFiles(dir, before);
+  for (let i = 7; i <= 11; i++) {
+    await writer.put({ id: `record-${i}` });
+  }
+  const after = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-store-test-'));
+  copyFiles(dir, after);
+  copyFiles(before, dir);
+
+  // The writer compacts right after the reader has read the old snapshot
+  const readFileSync = fs.readFileSync;
+  let compacted = false;
+  fs.readFileSync = function (file, ...args) {
+    const content = readFileSync.call(this, file, ...args);
+    if (file === writer.snapshotPath && !compacted) {
+      compacted = true;
+      fs.copySync(path.join(after, path.basename(writer.snapshotPath)), `${writer.snapshotPath}.tmp`);
+      fs.renameSync(`${writer.snapshotPath}.tmp`, writer.snapshotPath);
+      fs.copySync(path.join(after, path.basename(writer.journalPath)), writer.journalPath);
+    }
+    return content;
+  };
+
+  try {
+    const reader = openStore(dir);
+    assert.ok(compacted);
+    assert.strictEqual(reader.size, 11);
+  } finally {
+    fs.readFileSync = readFileSync;
+    await fs.remove(before);
+    await fs.remove(after);
+  }
+}));
@@ -0,0 +1,74 @@
+// test/profile-scorer.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const ProfileScorer = require('../src/profile-scorer');
+const CheckRegistry = require('../src/check-registry');
+
+const checkRegistry = new CheckRegistry({});
+const resolveVariable = name => checkRegistry.resolveVariable(name);
+
+// level and friends_count make up 5/6 of the score, the avatar frame flag the rest
+const WEIGHTS = {
+  level: { weight: 30, max: 20 },
+  friends_count: { weight: 20, max: 100 },
+  has_avatar_frame: 10
+};
+
+function results({ level, friends, frame } = {}) {
+  const completed = {};
+  if (level !== undefined) completed.steam_level = { passed: true, details: { player_level: level } };
+  if (friends !== undefined) completed.friends = { passed: true, details: { friends_count: friends } };
+  if (frame !== undefined) completed.avatar_frame = { passed: !frame, details: frame ? { name: 'Frame' } : {} };
+  return completed;
+}
+
+test('weighs each signal by its share of the total weight', () => {
+  const scorer = new ProfileScorer({ weights: WEIGHTS, threshold: 60 }, resolveVariable);
+  const { score, breakdown, pending } = scorer.score(results({ level: 5, friends: 50, frame: false }));
+
+  assert.deepStrictEqual(breakdown.level, { value: 5, weight: 30, points: 37.5, max_points: 50 });
+  assert.deepStrictEqual(breakdown.friends_count, { value: 50, weight: 20, points: 16.7, max_points: 33.3 });
+  assert.deepStrictEqual(breakdown.has_avatar_frame, { value: false, weight: 10, points: 16.7, max_points: 16.7 });
+  assert.strictEqual(score, 70.8);
+  assert.deepStrictEqual(pending, []);
+});
+
+test('scores stay between 0 and 100', () => {
+  const scorer = new ProfileScorer({ weights: WEIGHTS, threshold: 60 }, resolveVariable);
+
+  assert.strictEqual(scorer.score(results({ level: 0, friends: 0, frame: false })).score, 100);
+  assert.strictEqual(scorer.score(results({ level: -3, friends: -1, frame: false })).score, 100);
+  assert.strictEqual(scorer.score(results({ level: 20, friends: 100, frame: true })).score, 0);
+  assert.strictEqual(scorer.score(results({ level: 500, friends: 2000, frame: true })).score, 0);
+});
+
+test('decides once pending signals can no longer move the score across the threshold', () => {
+  const scorer = new ProfileScorer({ weights: WEIGHTS, threshold: 60 }, resolveVariable);
+
+  const partial = scorer.score(results({ level: 0 }));
+  assert.strictEqual(partial.score, 50);
+  assert.strictEqual(partial.max_possible, 100);
+  assert.deepStrictEqual(partial.pending, ['friends_count', 'has_avatar_frame']);
+  assert.strictEqual(scorer.evaluate(results({ level: 0 })), null);
+
+  assert.strictEqual(scorer.evaluate(results({ level: 20 })), false);
+  assert.strictEqual(scorer.evaluate(results({ level: 0, friends: 0 })), true);
+  assert.strictEqual(scorer.evaluate(results({ level: 0, friends: 80, frame: true })), false);
+});
+
+test('restrictTo drops the signals of checks the rule set does not run', () => {
+  const scorer = new ProfileScorer({ weights: WEIGHTS, threshold: 60 }, resolveVariable);
+  scorer.restrictTo(['steam_level', 'avatar_frame']);
+
+  assert.strictEqual(scorer.score(results({ level: 0, frame: true })).score, 75);
+  assert.throws(() => scorer.restrictTo(['friends']), /None of the scoring signals/);
+});
+
+test('rejects unknown signals, non-positive weights and thresholds outside 0-100', () => {
+  assert.throws(() => new ProfileScorer({ weights: { karma: 10 }, threshold: 60 }, resolveVariable), /Unknown scoring signal 'karma'/);
+  assert.throws(() => new ProfileScorer({ weights: { level: 0 }, threshold: 60 }, resolveVariable), /positive weight/);
+  assert.throws(() => new ProfileScorer({ weights: { level: { weight: 10, max: 0 } }, threshold: 60 }, resolveVariable), /positive weight/);
+  assert.throws(() => new ProfileScorer({ weights: {}, threshold: 60 }, resolveVariable), /at least one signal/);
+  assert.throws(() => new ProfileScorer({ weights: WEIGHTS, threshold: 101 }, resolveVariable), /between 0 and 100/);
+  assert.throws(() => new ProfileScorer({ weights: WEIGHTS, threshold: '60' }, resolveVariable), /between 0 and 100/);
+});
@@ -0,0 +1,132 @@
+// test/queue-manager.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { fork } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const PROFILES_PER_WRITER = 40;
+
+// Queue files in dir, with a low compaction threshold so writers also
+// compact while the other process is appending
+function queueConfig(dir) {
+  return {
+    QUEUE_PATH: path.join(dir, 'profiles_queue.json'),
+    QUEUE_SNAPSHOT_PATH: path.join(dir, 'profiles_queue.snapshot.json'),
+    QUEUE_JOURNAL_PATH: path.join(dir, 'profiles_queue.journal'),
+    QUEUE_COMPACT_THRESHOLD: 7,
+    QUEUE_LOCK_PATH: path.join(dir, 'profiles_queue.lock'),
+    QUEUE_LOCK_TIMEOUT: 30000
+  };
+}
+
+function steamIdFor(writer, index) {
+  return `7656119800${writer}${String(index).padStart(6, '0')}`;
+}
+
+// Child process: add this writer's profiles and update a check on each, all
+// at once, while the other writer does the same on the same files
+async function runWriter(dir, writer) {
+  const QueueManager = require('../src/queue-manager');
+  const queueManager = new QueueManager(queueConfig(dir));
+
+  await Promise.all(Array.from({ length: PROFILES_PER_WRITER }, async (_, index) => {
+    const steamId = steamIdFor(writer, index);
+    await queueManager.addProfileToQueue(steamId, `writer-${writer}`);
+    const updated = await queueManager.updateProfileCheck(steamId, 'steam_level', 'passed', { passed: true, details: { writer } });
+
+    if (!updated) {
+      throw new Error(`Check update for ${steamId} was not applied`);
+    }
+  }));
+}
+
+function startWriter(dir, writer) {
+  return new Promise((resolve, reject) => {
+    const child = fork(__filename, [], {
+      env: { ...process.env, QUEUE_TEST_WRITER: writer, QUEUE_TEST_DIR: dir },
+      stdio: ['ignore', 'ignore', 'pipe', 'ipc']
+    });
+
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', code => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Writer ${writer} exited with code ${code}: ${stderr}`));
+      }
+    });
+  });
+}
+
+if (process.env.QUEUE_TEST_WRITER) {
+  runWriter(process.env.QUEUE_TEST_DIR, process.env.QUEUE_TEST_WRITER).catch(error => {
+    console.error(error.stack);
+    process.exit(1);
+  });
+} else {
+  test('concurrent adds and updates from two processes never drop data', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'queue-manager-test-'));
+
+    try {
+      await Promise.all([startWriter(dir, '1'), startWriter(dir, '2')]);
+
+      // Quiet the fresh instance's logging; only the data on disk matters here
+      const log = console.log;
+      console.log = () => {};
+      let profiles;
+      try {
+        const QueueManager = require('../src/queue-manager');
+        profiles = await new QueueManager(queueConfig(dir)).getQueuedProfiles();
+      } finally {
+        console.log = log;
+      }
+
+      assert.strictEqual(profiles.length, 2 * PROFILES_PER_WRITER);
+
+      for (const writer of ['1', '2']) {
+        for (let index = 0; index < PROFILES_PER_WRITER; index++) {
+          const steamId = steamIdFor(writer, index);
+          const profile = profiles.find(candidate => candidate.steam_id === steamId);
+
+          assert.ok(profile, `profile ${steamId} is missing`);
+          assert.strictEqual(profile.checks.steam_level, 'passed', `check update for ${steamId} is missing`);
+          assert.deepStrictEqual(profile.check_results.steam_level.details, { writer });
+        }
+      }
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  test('a profile with only deferred checks left is not claimed', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'queue-manager-test-'));
+    const log = console.log;
+    console.log = () => {};
+
+    try {
+      const QueueManager = require('../src/queue-manager');
+      const queueManager = new QueueManager(queueConfig(dir));
+      const steamId = steamIdFor('3', 0);
+
+      await queueManager.addProfileToQueue(steamId, 'writer-3');
+      const profile = await queueManager.getProfileBySteamId(steamId);
+      for (const checkName of Object.keys(profile.checks)) {
+        await queueManager.updateProfileCheck(steamId, checkName, 'passed');
+      }
+      await queueManager.updateProfileCheck(steamId, 'steam_level', 'deferred');
+
+      const journalPath = queueConfig(dir).QUEUE_JOURNAL_PATH;
+      const journalSize = (await fs.stat(journalPath)).size;
+
+      assert.strictEqual(await queueManager.claimNextProcessableProfile('worker-1'), null);
+      assert.strictEqual((await fs.stat(journalPath)).size, journalSize);
+    } finally {
+      console.log = log;
+      await fs.remove(dir);
+    }
+  });
+}
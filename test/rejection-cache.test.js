@@ -0,0 +1,83 @@
+// test/rejection-cache.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const RejectionCache = require('../src/rejection-cache');
+
+function cacheConfig(dir) {
+  return {
+    REJECTION_CACHE_TTL: 60 * 60 * 1000,
+    REJECTION_CACHE_SNAPSHOT_PATH: path.join(dir, 'rejections.snapshot.json'),
+    REJECTION_CACHE_JOURNAL_PATH: path.join(dir, 'rejections.journal'),
+    REJECTION_CACHE_LOCK_PATH: path.join(dir, 'rejections.lock')
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('rejections expire after the TTL and are pruned', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rejection-cache-test-'));
+
+  try {
+    const cache = new RejectionCache({ ...cacheConfig(dir), REJECTION_CACHE_TTL: 50 });
+    await cache.add('a1', 'steam_level', "Check 'steam_level' failed", 'default');
+    assert.strictEqual(cache.get('a1').rejected_by, 'steam_level');
+
+    await sleep(60);
+    await cache.add('a2', 'friends', "Check 'friends' failed", 'default');
+
+    assert.strictEqual(cache.get('a1'), null);
+    assert.strictEqual(await cache.pruneExpired(), 1);
+    assert.deepStrictEqual(cache.getStats(), { total: 1, ttl_ms: 50 });
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('a TTL of 0 disables the cache', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rejection-cache-test-'));
+
+  try {
+    const cache = new RejectionCache({ ...cacheConfig(dir), REJECTION_CACHE_TTL: 0 });
+
+    assert.strictEqual(await cache.add('a1', 'steam_level', "Check 'steam_level' failed", 'default'), null);
+    assert.strictEqual(cache.get('a1'), null);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('only rejections under the same rule set count', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rejection-cache-test-'));
+
+  try {
+    const cache = new RejectionCache(cacheConfig(dir));
+    await cache.add('a1', 'steam_level', "Check 'steam_level' failed", 'strict');
+    // Recorded before rule sets existed
+    await cache.add('a2', 'friends', "Check 'friends' failed");
+
+    assert.ok(cache.get('a1', 'strict'));
+    assert.strictEqual(cache.get('a1', 'default', 'default'), null);
+    assert.ok(cache.get('a1'));
+
+    assert.ok(cache.get('a2', 'default', 'default'));
+    assert.strictEqual(cache.get('a2', 'strict', 'default'), null);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('rejections no single check explains are recorded as rejected by the rule set', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rejection-cache-test-'));
+
+  try {
+    const cache = new RejectionCache(cacheConfig(dir));
+    await cache.add('c1', null, "Not accepted by rule set 'lenient': level <= 5", 'lenient');
+
+    assert.strictEqual(cache.get('c1', 'lenient').rejected_by, RejectionCache.REJECTED_BY_RULE_SET);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,80 @@
+// test/rule-expression.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const RuleExpression = require('../src/rule-expression');
+const CheckRegistry = require('../src/check-registry');
+
+const checkRegistry = new CheckRegistry({});
+
+function parse(source) {
+  return new RuleExpression(source, name => checkRegistry.resolveVariable(name));
+}
+
+const passed = details => ({ passed: true, details });
+const failed = details => ({ passed: false, details });
+
+test('AND is false as soon as one operand is false, unknown while any is', () => {
+  const expression = parse('steam_level AND friends');
+
+  assert.strictEqual(expression.evaluate({}), null);
+  assert.strictEqual(expression.evaluate({ steam_level: passed({}) }), null);
+  assert.strictEqual(expression.evaluate({ steam_level: failed({}) }), false);
+  assert.strictEqual(expression.evaluate({ friends: failed({}) }), false);
+  assert.strictEqual(expression.evaluate({ steam_level: passed({}), friends: passed({}) }), true);
+});
+
+test('OR is true as soon as one operand is true, unknown while any is', () => {
+  const expression = parse('level <= 5 OR (friends_count <= 20 AND item_count == 0)');
+
+  assert.strictEqual(expression.evaluate({ steam_level: passed({ player_level: 3 }) }), true);
+  assert.strictEqual(expression.evaluate({ steam_level: passed({ player_level: 10 }) }), null);
+  assert.strictEqual(expression.evaluate({
+    steam_level: passed({ player_level: 10 }),
+    friends: passed({ friends_count: 30 })
+  }), false);
+  assert.strictEqual(expression.evaluate({
+    steam_level: passed({ player_level: 10 }),
+    friends: passed({ friends_count: 10 }),
+    csgo_inventory: passed({ item_count: 0 })
+  }), true);
+});
+
+test('operands after the deciding one are not read', () => {
+  const reads = [];
+  const resolveVariable = name => ({ check: name, read: result => { reads.push(name); return result.passed; } });
+  const results = { a: failed({}), b: passed({}), c: passed({}) };
+
+  assert.strictEqual(new RuleExpression('a AND b', resolveVariable).evaluate(results), false);
+  assert.strictEqual(new RuleExpression('b OR c', resolveVariable).evaluate(results), true);
+  assert.deepStrictEqual(reads, ['a', 'b']);
+});
+
+test('NOT keeps unknown unknown', () => {
+  const expression = parse('NOT steam_level');
+
+  assert.strictEqual(expression.evaluate({}), null);
+  assert.strictEqual(expression.evaluate({ steam_level: failed({}) }), true);
+  assert.strictEqual(parse('!steam_level && friends || false').evaluate({ steam_level: failed({}), friends: passed({}) }), true);
+});
+
+test('comparisons on a missing detail are unknown', () => {
+  const expression = parse('steam_level.player_level > 5');
+
+  assert.strictEqual(expression.evaluate({ steam_level: passed({}) }), null);
+  assert.strictEqual(expression.evaluate({ steam_level: passed({ player_level: 6 }) }), true);
+});
+
+test('lists the checks an expression reads', () => {
+  assert.deepStrictEqual(parse('level <= 5 or steam_level and friends').referencedChecks(), ['steam_level', 'friends']);
+});
+
+test('rejects unknown names, unknown operators and malformed expressions', () => {
+  assert.throws(() => parse('level <= 5 AND karma > 3'), /Unknown name 'karma'/);
+  assert.throws(() => parse('steam_level.nonsense.deeper'), /Invalid character/);
+  assert.throws(() => parse('level = 5'), /Invalid character at position 5/);
+  assert.throws(() => parse('level => 5'), /Invalid character/);
+  assert.throws(() => parse('level <= 5 XOR friends'), /Unexpected 'XOR'/);
+  assert.throws(() => parse('level <='), /Unexpected end/);
+  assert.throws(() => parse('(level <= 5'), /Missing '\)'/);
+  assert.throws(() => parse('level <= 5 5'), /Unexpected '5'/);
+});
@@ -0,0 +1,124 @@
+// test/steam-id-normalizer.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const SteamIdNormalizer = require('../src/steam-id-normalizer');
+
+// Stands in for SteamValidator.resolveVanityUrl: 'down-*' names fail as if
+// Steam were unreachable, 'unknown' has no profile
+function vanityResolver() {
+  const resolver = { calls: [], active: 0, maxActive: 0 };
+
+  resolver.resolveVanityUrl = async vanityName => {
+    resolver.calls.push(vanityName);
+    resolver.active++;
+    resolver.maxActive = Math.max(resolver.maxActive, resolver.active);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    resolver.active--;
+
+    if (vanityName.startsWith('down')) {
+      return { success: false, error: 'socket hang up' };
+    }
+    return { success: true, steamId: vanityName === 'unknown' ? null : '76561197960287930' };
+  };
+
+  return resolver;
+}
+
+const GABEN = '76561197960287930'; // account id 22202
+
+test('converts SteamID2 and SteamID3 to SteamID64', async () => {
+  const normalizer = new SteamIdNormalizer({});
+
+  for (const [input, format] of [
+    ['STEAM_0:0:11101', 'steamid2'],
+    ['STEAM_1:0:11101', 'steamid2'],
+    ['steam_0:0:11101', 'steamid2'],
+    ['[U:1:22202]', 'steamid3'],
+    ['U:1:22202', 'steamid3'],
+    ['[U:1:22202:1]', 'steamid3']
+  ]) {
+    assert.deepStrictEqual(await normalizer.normalize(input), { success: true, steamId: GABEN, format }, input);
+  }
+
+  assert.deepStrictEqual(await normalizer.normalize('STEAM_0:1:11101'), { success: true, steamId: '76561197960287931', format: 'steamid2' });
+});
+
+test('rejects SteamID2 and SteamID3 outside the public universe or not for individuals', async () => {
+  const normalizer = new SteamIdNormalizer({});
+
+  for (const input of ['STEAM_2:0:11101', '[U:0:22202]', '[G:1:4]', '[U:1:0]']) {
+    const result = await normalizer.normalize(input);
+    assert.strictEqual(result.success, false, input);
+  }
+});
+
+test('takes the SteamID64 out of /profiles/ links', async () => {
+  const normalizer = new SteamIdNormalizer({});
+
+  for (const input of [
+    `https://steamcommunity.com/profiles/${GABEN}`,
+    `http://www.steamcommunity.com/profiles/${GABEN}/`,
+    `steamcommunity.com/profiles/${GABEN}/?tab=all`,
+    `  ${GABEN}  `
+  ]) {
+    const result = await normalizer.normalize(input);
+    assert.strictEqual(result.steamId, GABEN, input);
+  }
+
+  assert.strictEqual((await normalizer.normalize(`https://steamcommunity.com/profiles/${GABEN}/friends`)).success, false);
+  assert.strictEqual((await normalizer.normalize('https://example.com/profiles/76561197960287930')).success, false);
+});
+
+test('validateSteamId64 checks universe, account type, instance and account id', () => {
+  const normalizer = new SteamIdNormalizer({});
+
+  assert.deepStrictEqual(normalizer.validateSteamId64(GABEN, 'steamid64'), { success: true, steamId: GABEN, format: 'steamid64' });
+  assert.match(normalizer.validateSteamId64('148618791998215866', 'steamid64').error, /not in the public universe \(universe 2\)/);
+  assert.match(normalizer.validateSteamId64('103582791429543610', 'steamid64').error, /not an individual account \(type 7\)/);
+  assert.match(normalizer.validateSteamId64('76561193665320634', 'steamid64').error, /not a valid user account/);
+  assert.match(normalizer.validateSteamId64('76561197960265728', 'steamid64').error, /not a valid user account/);
+});
+
+test('fromAccountId accepts 1 through 2^32 - 1', () => {
+  const normalizer = new SteamIdNormalizer({});
+
+  assert.strictEqual(normalizer.fromAccountId(1n, 'steamid3').steamId, '76561197960265729');
+  assert.strictEqual(normalizer.fromAccountId(0xFFFFFFFFn, 'steamid3').steamId, '76561202255233023');
+  assert.strictEqual(normalizer.fromAccountId(0n, 'steamid3').success, false);
+  assert.strictEqual(normalizer.fromAccountId(0x100000000n, 'steamid3').success, false);
+});
+
+test('normalizeMany looks each distinct vanity name up once, a few at a time', async () => {
+  const resolver = vanityResolver();
+  const normalizer = new SteamIdNormalizer({ VANITY_RESOLVE_CONCURRENCY: 3 }, resolver);
+  const names = Array.from({ length: 9 }, (_, i) => `name${i}`);
+
+  const inputs = [
+    ...names.map(name => `https://steamcommunity.com/id/${name}`),
+    'https://steamcommunity.com/id/NAME0/',
+    '76561197960287930'
+  ];
+  const results = await normalizer.normalizeMany(inputs);
+
+  assert.deepStrictEqual(resolver.calls.sort(), names);
+  assert.strictEqual(resolver.maxActive, 3);
+  assert.ok(results.every(result => result.success && result.steamId === '76561197960287930'));
+});
+
+test('normalizeMany keeps lookup failures retryable and unknown names not', async () => {
+  const resolver = vanityResolver();
+  const normalizer = new SteamIdNormalizer({}, resolver);
+
+  const [down, downAgain, unknown] = await normalizer.normalizeMany([
+    'steamcommunity.com/id/down1',
+    'steamcommunity.com/id/down1',
+    'steamcommunity.com/id/unknown'
+  ]);
+
+  assert.deepStrictEqual(resolver.calls.sort(), ['down1', 'unknown']);
+  assert.strictEqual(down.success, false);
+  assert.strictEqual(down.retryable, true);
+  assert.strictEqual(downAgain.retryable, true);
+  assert.strictEqual(unknown.success, false);
+  assert.ok(!unknown.retryable);
+});
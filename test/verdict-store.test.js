@@ -0,0 +1,63 @@
+// test/verdict-store.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const VerdictStore = require('../src/verdict-store');
+
+function storeConfig(dir) {
+  return {
+    VERDICT_SNAPSHOT_PATH: path.join(dir, 'verdicts.snapshot.json'),
+    VERDICT_JOURNAL_PATH: path.join(dir, 'verdicts.journal'),
+    VERDICT_LOCK_PATH: path.join(dir, 'verdicts.lock')
+  };
+}
+
+function profile(steamId, ruleSet) {
+  return { steam_id: steamId, username: 'harvester', rule_set: ruleSet, checks: { steam_level: 'passed' }, timestamp: Date.now() };
+}
+
+function shadow(outcome, agrees, differingChecks = []) {
+  return { rule_set: 'candidate', outcome, agrees, differing_checks: differingChecks };
+}
+
+test('shadowSummary counts disagreements per rule set pair and by check', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'verdict-store-test-'));
+
+  try {
+    const store = new VerdictStore(storeConfig(dir));
+
+    await store.record(profile('a1', 'default'), { outcome: 'accepted', shadow: shadow('accepted', true) });
+    await store.record(profile('a2', 'default'), { outcome: 'accepted', shadow: shadow('rejected', false, ['steam_level', 'friends']) });
+    await store.record(profile('a3', 'default'), { outcome: 'rejected', shadow: shadow('accepted', false, ['steam_level']) });
+    await store.record(profile('a4', 'default'), { outcome: 'rejected', shadow: shadow('accepted', false) });
+    await store.record(profile('a5', 'default'), { outcome: 'accepted', shadow: shadow('undecided', null) });
+    await store.record(profile('b1', 'strict'), { outcome: 'accepted', shadow: shadow('accepted', true) });
+    await store.record(profile('b2', 'strict'), { outcome: 'accepted' });
+
+    const summaries = await store.shadowSummary();
+    const summary = summaries.find(entry => entry.rule_set === 'default');
+
+    assert.strictEqual(summaries.length, 2);
+    assert.deepStrictEqual(summary, {
+      rule_set: 'default',
+      shadow_rule_set: 'candidate',
+      compared: 5,
+      agreed: 1,
+      disagreed: 3,
+      undecided: 1,
+      accepted_to_rejected: 1,
+      rejected_to_accepted: 2,
+      by_check: { steam_level: 2, friends: 1 },
+      rule_logic: 1,
+      disagreement_rate: 0.75
+    });
+
+    const strict = await store.shadowSummary({ ruleSet: 'strict' });
+    assert.deepStrictEqual(strict.map(entry => [entry.rule_set, entry.compared, entry.disagreement_rate]), [['strict', 1, 0]]);
+    assert.deepStrictEqual(await store.shadowSummary({ since: Date.now() + 1000 }), []);
+  } finally {
+    await fs.remove(dir);
+  }
+});